@@ -19,7 +19,14 @@ export interface Options {
    */
   allowShorterLines?: boolean;
   /**
-   * Encoding for both input or output data.
+   * Location of the record type code. When set, the `records` option replaces
+   * the `fields` one.
+   */
+  discriminator?: Discriminator;
+  /**
+   * Encoding for both input or output data. Supports Node.js encodings,
+   * EBCDIC (`IBM037`, `IBM500`, `IBM1047`) and Windows (`windows-1250`
+   * to `windows-1258`) code pages.
    *
    * @default "utf8"
    */
@@ -31,25 +38,71 @@ export interface Options {
    */
   eof?: boolean;
   /**
-   * String that separe line records (End Of Line).
+   * String that separe line records (End Of Line). An empty string means
+   * fixed-length records without any separator. Layouts with packed or
+   * binary fields default to fixed-length records.
    */
   eol?: string;
   /**
-   * List of fields.
+   * List of fields. Required unless `records` is used.
+   */
+  fields?: Field[];
+  /**
+   * Nesting rules of record types (requires `records`).
    */
-  fields: Field[];
+  groups?: GroupRule[];
   /**
-   * Starting line to parse.
+   * Header record written before the first detail record. The parser reads
+   * the first line (after the title row) as header.
+   */
+  header?: ControlRecord;
+  /**
+   * Starting line to parse. Negative values select the last lines of the
+   * input (`-10` means the last ten lines).
    *
    * @default 1
    */
   from?: number;
+  /**
+   * Controls what happens when a line cannot be parsed.
+   * - `"throw"`: throw the error
+   * - `"skip"`: ignore the line
+   * - `"collect"`: ignore the line, and collect its report
+   * - function: ignore the line, and call the function with its report
+   *
+   * @default "throw"
+   */
+  onError?: "throw" | "skip" | "collect" | ((rejection: Rejection) => void);
+  /**
+   * Emit (and accept) wrapper objects with the raw text and the position of
+   * each record. Lines without a record (empty lines, title rows and
+   * rejected lines) are not reproduced.
+   *
+   * @default false
+   */
+  lossless?: boolean;
+  /**
+   * Called with non-fatal errors (truncated values).
+   */
+  onWarning?: (warning: FixedWidthError) => void;
+  /**
+   * Controls what happens when a value exceeds its field's width while
+   * stringifying.
+   *
+   * @default "error"
+   */
+  overflow?: Overflow;
   /**
    * Padding value. Must be one char (byte).
    *
    * @default " "
    */
   pad?: string;
+  /**
+   * Map of record type codes to their own list of fields. Requires the
+   * `discriminator` option.
+   */
+  records?: Record<string, Field[] | { fields: Field[] }>;
   /**
    * @deprecated Use `allowLongerLines` and `allowShorterLines` options.
    */
@@ -62,11 +115,36 @@ export interface Options {
    */
   skipEmptyLines?: boolean;
   /**
-   * Ending line to parse.
+   * Check that all gaps between (or after) the fields contain only their
+   * filler char (`UNEXPECTED_FILLER` error).
+   *
+   * @default false
+   */
+  validateFillers?: boolean;
+  /**
+   * Capture the content of gaps, and the exceeding content of the line, into
+   * the `$rest` property (and write it back while serializing).
+   *
+   * @default false
+   */
+  rest?: boolean;
+  /**
+   * Title row (`true` skips it, `"validate"` checks the fields' titles,
+   * `"infer"` reads the properties from it). Comes before the header record.
+   */
+  titles?: boolean | "validate" | "infer";
+  /**
+   * Ending line to parse (inclusive). Negative values exclude the last lines
+   * of the input (`-1` drops the last line).
    *
    * @default Infinity
    */
   to?: number;
+  /**
+   * Trailer record written at the end. The parser reads the last line as
+   * trailer, and verifies its control values.
+   */
+  trailer?: ControlRecord;
   /**
    * String trimming for parsed values.
    * - `true`: trim the string
@@ -78,8 +156,196 @@ export interface Options {
    * @default true
    */
   trim?: boolean | "left" | "right" | "auto";
+  /**
+   * Unit of measure for columns and widths.
+   * - `"char"`: string chars
+   * - `"byte"`: encoded bytes (see `encoding` option)
+   *
+   * While using bytes, the stringifier outputs buffers instead of strings.
+   *
+   * @default "char"
+   */
+  unit?: "char" | "byte";
+}
+
+export interface Rejection {
+  /**
+   * Error code.
+   */
+  code: string;
+  /**
+   * Original error.
+   */
+  error: FixedWidthError;
+  /**
+   * Line number.
+   */
+  line: number;
+  /**
+   * Raw line text.
+   */
+  text: string;
+}
+
+export interface Aggregates {
+  /**
+   * Number of detail records.
+   */
+  count: number;
+  /**
+   * Sums of numeric values by property.
+   */
+  sums: Record<string, number>;
+}
+
+export interface ControlRecord {
+  /**
+   * Header or trailer fields. Can be omitted while using `records`.
+   */
+  fields?: Field[];
+  /**
+   * Record object, or a function that builds it from the running aggregates.
+   */
+  value?: object | ((aggregates: Aggregates) => object);
+  /**
+   * Property that holds the number of detail records.
+   */
+  count?: string;
+  /**
+   * Maps properties to the summed detail properties.
+   */
+  sums?: Record<string, string>;
+}
+
+export interface LosslessRecord<T = unknown> {
+  /**
+   * Line number (1-based).
+   */
+  line: number;
+  /**
+   * Parsed value.
+   */
+  value: T;
+  /**
+   * Raw text of the line.
+   */
+  text: string;
+  /**
+   * Char offset of the line inside the input.
+   */
+  offset: number;
+  /**
+   * Byte offset of the line inside the input.
+   */
+  byteOffset: number;
+  /**
+   * Length of the line in chars.
+   */
+  length: number;
+  /**
+   * Length of the line in bytes.
+   */
+  byteLength: number;
+  /**
+   * Only set for header and trailer records.
+   */
+  control?: "header" | "trailer";
+}
+
+export interface Checkpoint {
+  /**
+   * Aggregates of the parsed detail records.
+   */
+  aggregates: Aggregates;
+  /**
+   * Offset (bytes) of the input to read next.
+   */
+  byteOffset: number;
+  /**
+   * Detected end of line.
+   */
+  eol: string | null;
+  /**
+   * Header record (read again while resuming).
+   */
+  header: { line: number; text: string } | null;
+  /**
+   * Next line number.
+   */
+  line: number;
+  /**
+   * Offset (chars) of the pending text (lossless records).
+   */
+  offset: number;
+  /**
+   * The first record (header or detail) was already read.
+   */
+  started: boolean;
+  /**
+   * Pending (partial) text.
+   */
+  text: string;
+  /**
+   * Title row (read again while resuming).
+   */
+  titles: { line: number; text: string } | null;
+}
+
+export interface GroupRule {
+  /**
+   * Record type that starts the group. Required.
+   */
+  type: string;
+  /**
+   * Rules of the records contained by the group.
+   */
+  children?: GroupRule[];
+  /**
+   * Property that holds the group's children.
+   *
+   * @default "$children"
+   */
+  property?: string | Symbol;
+  /**
+   * Record type that closes the group (stored inside `$trailer`).
+   */
+  trailer?: string;
+}
+
+export interface Discriminator {
+  /**
+   * Record type code's column number. This is 1-based.
+   *
+   * @default 1
+   */
+  column?: number;
+  /**
+   * Property that holds the record type of parsed (and serialized) objects.
+   *
+   * @default "$type"
+   */
+  property?: string | Symbol;
+  /**
+   * Record type code's width (chars). Required.
+   */
+  width: number;
 }
 
+/**
+ * - `"error"`: throw a `FIELD_VALUE_OVERFLOW` error
+ * - `"truncate"`: remove the exceeding chars on the padding side
+ * - `"truncate-left"`: remove the exceeding chars from the start
+ * - function: returns the value to write
+ */
+export type Overflow =
+  | "error"
+  | "truncate"
+  | "truncate-left"
+  | ((
+      value: string,
+      context: { column: number; line: number; width: number }
+    ) => string);
+
 export interface Field {
   /**
    * Field value alignment used by the stringifier.
@@ -98,8 +364,88 @@ export interface Field {
    * Custom way of writing the value to the file
    */
   stringify?: (
-    value: any
+    value: any,
+    context: { column: number; line: number; width: number }
   ) => string;
+  /**
+   * Built-in type used both while parsing and serializing.
+   */
+  type?:
+    | "integer"
+    | "decimal"
+    | "date"
+    | "boolean"
+    | "enum"
+    | "zoned"
+    | "packed"
+    | "binary";
+  /**
+   * Number of decimal digits (numeric types).
+   *
+   * @default 0
+   */
+  scale?: number;
+  /**
+   * Signed values (`packed` and `binary` types).
+   *
+   * @default true
+   */
+  signed?: boolean;
+  /**
+   * Explicit decimal separator (`decimal` type). Implied if not specified.
+   */
+  separator?: string;
+  /**
+   * Date format (`date` type). Supports `YYYY`, `YY`, `MM`, `DD`, `HH`, `mm`,
+   * `ss`, and `SSS` tokens.
+   *
+   * @default "YYYYMMDD"
+   */
+  format?: string;
+  /**
+   * Text for `true` values (`boolean` type).
+   *
+   * @default "1"
+   */
+  true?: string;
+  /**
+   * Text for `false` values (`boolean` type).
+   *
+   * @default "0"
+   */
+  false?: string;
+  /**
+   * Map of codes to values, or list of allowed codes (`enum` type).
+   */
+  values?: Record<string, any> | string[];
+  /**
+   * The value cannot be empty.
+   */
+  required?: boolean;
+  /**
+   * Pattern of the field's text.
+   */
+  pattern?: RegExp;
+  /**
+   * Minimum value.
+   */
+  min?: any;
+  /**
+   * Maximum value.
+   */
+  max?: any;
+  /**
+   * List of allowed values.
+   */
+  oneOf?: any[];
+  /**
+   * Custom validation. Returns `false` (or an error message) to reject the
+   * value.
+   */
+  validate?: (
+    value: any,
+    context: { column: number; line: number; width: number }
+  ) => boolean | string | void;
   /**
    * Field's column number. This is 1-based. First column is 1.
    */
@@ -114,8 +460,33 @@ export interface Field {
    * When parsing, this is the name of the property where the value will be saved. When serializing, this is the property name to read.
    *
    * If not specified, the parsed will output an array of values, and the stringifier will expect an array of values as input.
+   *
+   * Nested properties are declared with a dotted path (`"address.city"`) or an array of keys.
+   * A single-item array (`["acct.no"]`) declares a plain property that contains a dot.
    */
-  property?: string | Symbol;
+  property?: string | Symbol | Array<string | number>;
+  /**
+   * Repeats the field (or the group of fields) N times into an array.
+   */
+  occurs?: number;
+  /**
+   * Declares this field as a view of a previous field (by property). Views
+   * can overlap their redefined field, which wins while serializing.
+   */
+  redefines?: string;
+  /**
+   * Condition of a view (see `redefines`).
+   */
+  when?: (record: any) => boolean;
+  /**
+   * Declares an unmapped region written with this filler char (`true` uses
+   * the global `pad`).
+   */
+  filler?: boolean | string;
+  /**
+   * Nested fields (columns are relative to the group).
+   */
+  fields?: Field[];
   /**
    * String trimming when parsing.
    * - `true`: trim the field's value
@@ -128,47 +499,91 @@ export interface Field {
    */
   trim?: boolean | "left" | "right" | "auto";
   /**
-   * Field width (chars). Required.
+   * Title inside the title row (see `titles` option). Defaults to the
+   * property.
    */
-  width: number;
+  title?: string;
+  /**
+   * Field-level overflow mode. Defaults to global `overflow` option, or
+   * `"error"` for numeric types and number (or bigint) values.
+   */
+  overflow?: Overflow;
+  /**
+   * Field width (chars or bytes, see `unit` option). Required, groups of
+   * fields default to the extent of their fields.
+   */
+  width?: number;
 }
 
 export declare class Parser<T = unknown> {
   /**
    * Get a [Transform](https://nodejs.org/api/stream.html#class-streamtransform) stream (Node.js).
+   * With `onError: "collect"`, the stream also exposes the `rejected` reports.
    */
-  static stream(options: Options): Transform;
+  static stream(options: Options): Transform & { rejected?: Rejection[] };
+  /**
+   * Get a WHATWG [TransformStream](https://developer.mozilla.org/en-US/docs/Web/API/TransformStream) (browsers, Deno, Bun).
+   * With `onError: "collect"`, the stream also exposes the `rejected` reports.
+   */
+  static webStream<T = unknown>(
+    options: Options
+  ): TransformStream<string | Uint8Array, T> & { rejected?: Rejection[] };
+  /**
+   * Creates a parser that continues from a checkpoint. The input must be
+   * read from the checkpoint's byte offset.
+   */
+  static resume<T = unknown>(checkpoint: Checkpoint, options: Options): Parser<T>;
   /**
    * @constructor
    */
   constructor(options: Options);
+  /**
+   * Running aggregates of parsed detail records.
+   */
+  aggregates: Aggregates;
+  /**
+   * Reports of rejected lines (see `onError` option).
+   */
+  rejected: Rejection[];
   /**
    * Push a chunk of text. Returns an iterable that yields the parsed objects.
    */
-  write(chunk: string | Buffer): Iterable<T>;
+  write(chunk: string | Uint8Array): Iterable<T>;
   /**
    * Returns a final iterable that yields the remaining objects (if any).
    */
   end(): Iterable<T>;
+  /**
+   * Returns the JSON-serializable state of the parser (see `Parser.resume`).
+   */
+  checkpoint(): Checkpoint;
 }
 
-export declare class Stringifier {
+export declare class Stringifier<T extends string | Buffer = string> {
   /**
    * Get a [Transform](https://nodejs.org/api/stream.html#class-streamtransform) stream (Node.js).
    */
   static stream(options: Options): Transform;
+  /**
+   * Get a WHATWG [TransformStream](https://developer.mozilla.org/en-US/docs/Web/API/TransformStream) (browsers, Deno, Bun).
+   */
+  static webStream(options: Options): TransformStream<any, Uint8Array>;
   /**
    * @constructor
    */
   constructor(options: Options);
+  /**
+   * Running aggregates of written detail records.
+   */
+  aggregates: Aggregates;
   /**
    * Push an object to serialize. Returns the serialized text of the passed object, including new line terminators.
    */
-  write(obj: object): string;
+  write(obj: object): T;
   /**
-   * Close the parsing and returns a final string.
+   * Close the parsing and returns a final string (header and trailer records).
    */
-  end(): string;
+  end(): T;
 }
 
 /**
@@ -179,15 +594,27 @@ export declare class Stringifier {
  * If the argument is some kind of iterable (sync or async), the output will be the same kind of inputted iterable.
  */
 export declare function parse<T = unknown>(
-  input: string | Buffer,
+  input: string | Uint8Array,
+  options: Options & { onError: "collect" }
+): T[] & { rejected: Rejection[] };
+export declare function parse<T = unknown>(
+  input: string | Uint8Array,
   options: Options
 ): T[];
 export declare function parse<T = unknown>(
-  input: Iterable<string | Buffer>,
+  input: Iterable<string | Uint8Array>,
+  options: Options & { onError: "collect" }
+): Iterable<T> & { rejected: Rejection[] };
+export declare function parse<T = unknown>(
+  input: Iterable<string | Uint8Array>,
   options: Options
 ): Iterable<T>;
 export declare function parse<T = unknown>(
-  input: AsyncIterable<string | Buffer>,
+  input: AsyncIterable<string | Uint8Array>,
+  options: Options & { onError: "collect" }
+): AsyncIterable<T> & { rejected: Rejection[] };
+export declare function parse<T = unknown>(
+  input: AsyncIterable<string | Uint8Array>,
   options: Options
 ): AsyncIterable<T>;
 
@@ -198,6 +625,18 @@ export declare function parse<T = unknown>(
  *
  * If the argument is some kind of iterable (sync or async), the output will be the same kind of inputted iterable.
  */
+export declare function stringify(
+  input: any[],
+  options: Options & { unit: "byte" }
+): Buffer;
+export declare function stringify(
+  input: Iterable<any>,
+  options: Options & { unit: "byte" }
+): Iterable<Buffer>;
+export declare function stringify(
+  input: AsyncIterable<any>,
+  options: Options & { unit: "byte" }
+): AsyncIterable<Buffer>;
 export declare function stringify(input: any[], options: Options): string;
 export declare function stringify(
   input: Iterable<any>,
@@ -207,3 +646,71 @@ export declare function stringify(
   input: AsyncIterable<any>,
   options: Options
 ): AsyncIterable<string>;
+
+/**
+ * Parses a file (Node.js only). Gzip (`.gz`) and Brotli (`.br`) files are
+ * decompressed.
+ */
+export declare function parseFile<T = unknown>(
+  path: string | URL,
+  options: Options
+): AsyncIterable<T>;
+
+/**
+ * Serializes objects into a file (Node.js only). The file is written
+ * atomically (temporary file and rename). Gzip (`.gz`) and Brotli (`.br`)
+ * files are compressed.
+ */
+export declare function stringifyFile(
+  path: string | URL,
+  input: Iterable<any> | AsyncIterable<any>,
+  options: Options
+): Promise<void>;
+
+export interface CopybookOptions {
+  /**
+   * Name of the `01` level record to convert. Defaults to the first one.
+   */
+  record?: string;
+}
+
+/**
+ * Converts a COBOL copybook into an options object (byte unit).
+ */
+export declare function fromCopybook(
+  text: string,
+  options?: CopybookOptions
+): Options;
+
+export interface InferOptions {
+  /**
+   * Encoding of buffer samples.
+   *
+   * @default "utf8"
+   */
+  encoding?: string;
+  /**
+   * Line separator. Guessed by default.
+   */
+  eol?: string;
+  /**
+   * Use the first line for property names.
+   *
+   * @default false
+   */
+  header?: boolean;
+  /**
+   * Maximum number of analyzed lines.
+   *
+   * @default 1000
+   */
+  maxLines?: number;
+}
+
+/**
+ * Guesses the layout of a sample file (options for `Parser`).
+ */
+export declare function inferLayout(
+  sample: string | Uint8Array,
+  options?: InferOptions
+): Options;
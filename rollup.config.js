@@ -1,18 +1,69 @@
-export default {
-  input: 'src/index.mjs',
-  output: [
-    {
-      file: 'fixed-width.cjs',
-      format: 'cjs'
-    },
-    {
-      file: 'fixed-width.mjs',
-      format: 'es'
+import { dirname, join } from 'node:path'
+
+const external = [
+  'node:crypto',
+  'node:fs',
+  'node:fs/promises',
+  'node:os',
+  'node:path',
+  'node:stream',
+  'node:stream/promises',
+  'node:string_decoder',
+  'node:url',
+  'node:util',
+  'node:zlib'
+]
+
+const webModules = {
+  './file.mjs': 'file.web.mjs',
+  './platform.mjs': 'platform.web.mjs'
+}
+
+/**
+ * Replaces Node.js bindings with the web ones (no node: imports).
+ */
+function web () {
+  return {
+    name: 'web',
+    resolveId (source, importer) {
+      if (webModules[source]) {
+        return join(dirname(importer), webModules[source])
+      }
+      return null
     }
-  ],
-  external: [
-    'node:os',
-    'node:stream',
-    'node:string_decoder'
-  ]
+  }
 }
+
+export default [
+  {
+    input: 'src/index.mjs',
+    output: [
+      {
+        file: 'fixed-width.cjs',
+        format: 'cjs'
+      },
+      {
+        file: 'fixed-width.mjs',
+        format: 'es'
+      }
+    ],
+    external
+  },
+  {
+    input: 'src/index.mjs',
+    output: {
+      file: 'fixed-width.web.mjs',
+      format: 'es'
+    },
+    plugins: [web()]
+  },
+  {
+    input: 'src/bin.mjs',
+    output: {
+      banner: '#!/usr/bin/env node',
+      file: 'fixed-width-cli.mjs',
+      format: 'es'
+    },
+    external
+  }
+]
@@ -0,0 +1,54 @@
+import { getValue } from './path.mjs'
+
+/**
+ * Running aggregates of detail records: records count and sums of numeric
+ * values (by property).
+ */
+export function createAggregates () {
+  return {
+    count: 0,
+    sums: {}
+  }
+}
+
+export function updateAggregates (aggregates, obj, fields) {
+  aggregates.count++
+  for (const field of fields) {
+    const value = getValue(obj, field)
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      aggregates.sums[field.property] = add(
+        aggregates.sums[field.property] || 0,
+        value
+      )
+    }
+  }
+  return aggregates
+}
+
+/**
+ * Returns the control values (count and sums) of a header or trailer record.
+ */
+export function getControlValues (control, aggregates) {
+  const values = {}
+  if (control.count !== null) {
+    values[control.count] = aggregates.count
+  }
+  for (const [property, source] of Object.entries(control.sums)) {
+    values[property] = aggregates.sums[source] || 0
+  }
+  return values
+}
+
+/**
+ * Sums decimal numbers without floating point noise (0.1 + 0.2).
+ */
+function add (a, b) {
+  const digits = Math.max(countDecimals(a), countDecimals(b))
+  return digits > 0 ? Number((a + b).toFixed(digits)) : a + b
+}
+
+function countDecimals (value) {
+  const text = value.toString()
+  const index = text.indexOf('.')
+  return index < 0 || text.includes('e') ? 0 : text.length - index - 1
+}
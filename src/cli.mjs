@@ -0,0 +1,440 @@
+import { createReadStream, createWriteStream } from 'node:fs'
+import { readFile } from 'node:fs/promises'
+import { Transform } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import { parseArgs } from 'node:util'
+
+import { FixedWidthError } from './error.mjs'
+import { parseOptions } from './options.mjs'
+import { getValue, parsePath, setValue } from './path.mjs'
+import { Parser } from './parse.mjs'
+import { Stringifier } from './stringify.mjs'
+
+const usage = `Usage: fixed-width --layout <file> [options] [input]
+
+Converts fixed-width data to CSV, JSON, or NDJSON (and back with --from).
+Reads from the input file (or stdin) and writes to stdout.
+
+Options:
+  -l, --layout <file>    JSON file with the parsing options (or fields)
+  -t, --to <format>      Output format: csv, json, or ndjson (default)
+  -f, --from <format>    Input format: csv or ndjson (writes fixed-width data)
+  -o, --output <file>    Write to file instead of stdout
+      --from-line <n>    First line to parse
+      --to-line <n>      Last line to parse
+      --eol <string>     End of line (escapes like \\r\\n are supported)
+      --encoding <name>  Encoding of fixed-width data
+  -h, --help             Show this help
+`
+
+/**
+ * Runs the command line tool. Resolves with the exit code.
+ */
+export async function main (argv, io = process) {
+  try {
+    const args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        encoding: { type: 'string' },
+        eol: { type: 'string' },
+        from: { type: 'string', short: 'f' },
+        'from-line': { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+        layout: { type: 'string', short: 'l' },
+        output: { type: 'string', short: 'o' },
+        to: { type: 'string', short: 't' },
+        'to-line': { type: 'string' }
+      }
+    })
+
+    if (args.values.help) {
+      io.stdout.write(usage)
+      return 0
+    }
+
+    await run(args.values, args.positionals, io)
+    return 0
+  } catch (err) {
+    io.stderr.write(`fixed-width: ${formatError(err)}\n`)
+    if (err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || err.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+      io.stderr.write(usage)
+    }
+    return 1
+  }
+}
+
+async function run (values, positionals, io) {
+  if (!values.layout) {
+    throw new Error('Missing layout file (see --layout option)')
+  }
+  if (positionals.length > 1) {
+    throw new Error('Too many input files')
+  }
+  if (values.from && values.to) {
+    throw new Error('Options --from and --to cannot be used together')
+  }
+
+  const options = await readLayout(values.layout)
+  if (values.encoding !== undefined) {
+    options.encoding = values.encoding
+  }
+  if (values.eol !== undefined) {
+    options.eol = unescape(values.eol)
+  }
+  if (values['from-line'] !== undefined) {
+    options.from = parseInteger(values['from-line'], '--from-line')
+  }
+  if (values['to-line'] !== undefined) {
+    options.to = parseInteger(values['to-line'], '--to-line')
+  }
+
+  const input = positionals.length
+    ? createReadStream(positionals[0])
+    : io.stdin
+  const output = values.output
+    ? createWriteStream(values.output)
+    : io.stdout
+
+  if (values.from) {
+    input.setEncoding('utf8')
+    await pipeline(
+      input,
+      createReader(values.from, parseOptions(options)),
+      Stringifier.stream(options),
+      output
+    )
+  } else {
+    await pipeline(
+      input,
+      Parser.stream(options),
+      createWriter(values.to || 'ndjson', parseOptions(options)),
+      output
+    )
+  }
+}
+
+async function readLayout (file) {
+  const layout = JSON.parse(await readFile(file, 'utf8'))
+  return Array.isArray(layout) ? { fields: layout } : Object(layout)
+}
+
+function parseInteger (value, name) {
+  if (!/^[+-]?\d+$/.test(value)) {
+    throw new Error(`Option ${name} must be an integer`)
+  }
+  return parseInt(value, 10)
+}
+
+function unescape (value) {
+  return value.replace(/\\([nrt\\])/g, (match, char) => {
+    switch (char) {
+      case 'n':
+        return '\n'
+      case 'r':
+        return '\r'
+      case 't':
+        return '\t'
+      default:
+        return '\\'
+    }
+  })
+}
+
+function formatError (err) {
+  if (err instanceof FixedWidthError && err.line !== undefined) {
+    return `${err.message} (${err.code}, line ${err.line})`
+  }
+  return err.message
+}
+
+/**
+ * Formats parsed items.
+ */
+function createWriter (format, options) {
+  switch (format) {
+    case 'ndjson':
+      return createTransform('object', 'text', {
+        write: item => [stringifyJSON(item) + '\n']
+      })
+    case 'json': {
+      let count = 0
+      return createTransform('object', 'text', {
+        write: item => [(count++ > 0 ? ',\n' : '[\n') + stringifyJSON(item)],
+        end: () => [count > 0 ? '\n]\n' : '[]\n']
+      })
+    }
+    case 'csv': {
+      // Inferred titles (see titles option) are known after the first item
+      const infer = options.titles === 'infer'
+      let columns = infer ? null : getColumns(options)
+      let header = columns !== null
+      const writeHeader = () => {
+        const rows = header
+          ? [formatCsvRow(columns.map(column => column.property))]
+          : []
+        header = false
+        return rows
+      }
+      return createTransform('object', 'text', {
+        write: item => {
+          if (infer && columns === null) {
+            columns = Object.keys(item).map(key => ({ path: null, property: key }))
+            header = true
+          }
+          return writeHeader().concat(
+            formatCsvRow(
+              columns
+                ? columns.map(column => getValue(item, column))
+                : item
+            )
+          )
+        },
+        end: writeHeader
+      })
+    }
+    default:
+      throw new Error(`Unsupported output format: ${format}`)
+  }
+}
+
+/**
+ * Reads items to serialize (UTF-8 text).
+ */
+function createReader (format, options) {
+  switch (format) {
+    case 'ndjson': {
+      let line = 0
+      let text = ''
+      const parseLine = value => {
+        line++
+        if (!value.trim()) {
+          return []
+        }
+        let item
+        try {
+          item = JSON.parse(value)
+        } catch (err) {
+          throw new Error(`Invalid JSON at line ${line}`)
+        }
+        if (typeof item !== 'object' || item === null) {
+          throw new Error(`Expected an object or an array at line ${line}`)
+        }
+        return [coerceItem(item, options)]
+      }
+      return createTransform('text', 'object', {
+        write: chunk => {
+          const lines = (text + chunk).split('\n')
+          text = lines.pop()
+          return [].concat(...lines.map(parseLine))
+        },
+        end: () => parseLine(text)
+      })
+    }
+    case 'csv': {
+      // Object layouts require a header row with property names
+      const fields = getColumns(options)
+      let columns = null
+      let header = fields !== null
+      const reader = new CsvReader()
+      const toItems = rows => {
+        if (header && rows.length) {
+          header = false
+          columns = rows.shift().map(
+            name => fields.find(field => field.property === name) ||
+              toColumnField(name)
+          )
+        }
+        return rows.map(row => coerceItem(
+          columns ? toObject(columns, row) : row,
+          options
+        ))
+      }
+      return createTransform('text', 'object', {
+        write: chunk => toItems(reader.write(chunk)),
+        end: () => toItems(reader.end())
+      })
+    }
+    default:
+      throw new Error(`Unsupported input format: ${format}`)
+  }
+}
+
+function createTransform (input, output, { write, end }) {
+  return new Transform({
+    decodeStrings: false,
+    readableObjectMode: output === 'object',
+    writableObjectMode: input === 'object',
+    transform (chunk, encoding, callback) {
+      try {
+        for (const data of write(chunk)) {
+          this.push(data)
+        }
+        callback()
+      } catch (err) {
+        callback(err)
+      }
+    },
+    flush (callback) {
+      try {
+        for (const data of end ? end() : []) {
+          this.push(data)
+        }
+        callback()
+      } catch (err) {
+        callback(err)
+      }
+    }
+  })
+}
+
+/**
+ * Returns the CSV columns (fields with their path) of an object layout.
+ */
+function getColumns (options) {
+  if (options.discriminator) {
+    const { property } = options.discriminator
+    const columns = new Map([[property, { path: null, property }]])
+    for (const record of options.records.values()) {
+      for (const field of record.fields) {
+        if (!columns.has(field.property)) {
+          columns.set(field.property, field)
+        }
+      }
+    }
+    return Array.from(columns.values())
+  }
+  return options.output === 'object' ? options.fields : null
+}
+
+function toObject (columns, row) {
+  const obj = {}
+  for (let i = 0; i < columns.length; i++) {
+    setValue(obj, columns[i], row[i] === undefined ? '' : row[i])
+  }
+  return obj
+}
+
+/**
+ * Unknown CSV columns of nested fields are named after their dotted path.
+ */
+function toColumnField (column) {
+  return { path: parsePath(column), property: column }
+}
+
+/**
+ * CSV and JSON inputs carry strings, typed fields need proper values.
+ */
+function coerceItem (item, options) {
+  const layout = options.discriminator
+    ? options.records.get(String(item[options.discriminator.property]))
+    : options
+  if (layout) {
+    for (const field of layout.fields) {
+      setValue(item, field, coerceValue(getValue(item, field), field.type))
+    }
+  }
+  return item
+}
+
+function coerceValue (value, type) {
+  if (typeof value !== 'string') {
+    return value
+  }
+  switch (type) {
+    case 'integer':
+    case 'decimal':
+    case 'zoned':
+    case 'packed':
+    case 'binary':
+      return value === '' ? null : Number(value)
+    case 'date':
+      return value === '' ? null : new Date(value)
+    case 'boolean':
+      return value === ''
+        ? null
+        : value === 'true' ? true : value === 'false' ? false : value
+    default:
+      return value
+  }
+}
+
+function stringifyJSON (value) {
+  return JSON.stringify(
+    value,
+    (key, value) => typeof value === 'bigint' ? value.toString() : value
+  )
+}
+
+function formatCsvRow (values) {
+  return values.map(formatCsvValue).join(',') + '\n'
+}
+
+function formatCsvValue (value) {
+  if (value === undefined || value === null) {
+    return ''
+  }
+  const text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object'
+      ? stringifyJSON(value)
+      : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Streaming CSV reader (RFC 4180).
+ */
+class CsvReader {
+  constructor () {
+    this.closed = false
+    this.quoted = false
+    this.row = []
+    this.value = ''
+  }
+
+  write (text) {
+    const rows = []
+    for (const char of text) {
+      if (this.quoted) {
+        if (char === '"') {
+          this.quoted = false
+          this.closed = true
+        } else {
+          this.value += char
+        }
+      } else if (char === '"') {
+        if (this.closed) {
+          // Escaped quote
+          this.value += char
+        }
+        this.quoted = true
+        this.closed = false
+      } else {
+        this.closed = false
+        if (char === ',') {
+          this.row.push(this.value)
+          this.value = ''
+        } else if (char === '\n') {
+          rows.push(...this.flush())
+        } else if (char !== '\r') {
+          this.value += char
+        }
+      }
+    }
+    return rows
+  }
+
+  end () {
+    return this.flush()
+  }
+
+  flush () {
+    this.row.push(this.value)
+    const row = this.row
+    this.closed = false
+    this.row = []
+    this.value = ''
+    return row.length === 1 && row[0] === '' ? [] : [row]
+  }
+}
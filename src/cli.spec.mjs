@@ -0,0 +1,154 @@
+import test from 'ava'
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { Readable, Writable } from 'node:stream'
+
+import { main } from './cli.mjs'
+
+const layout = {
+  eol: '\n',
+  fields: [
+    { property: 'username', width: 12 },
+    { property: 'age', type: 'integer', align: 'right', pad: '0', width: 3 }
+  ]
+}
+
+const text = 'alice       024\nbob         030\n'
+
+test.before(async t => {
+  t.context.dir = await mkdtemp(join(tmpdir(), 'fixed-width-'))
+  t.context.layout = join(t.context.dir, 'layout.json')
+  await writeFile(t.context.layout, JSON.stringify(layout))
+})
+
+test.after.always(async t => {
+  await rm(t.context.dir, { force: true, recursive: true })
+})
+
+async function run (argv, input = '') {
+  const result = { stdout: '', stderr: '' }
+  const collect = key => new Writable({
+    write (chunk, encoding, callback) {
+      result[key] += chunk.toString()
+      callback()
+    }
+  })
+  result.code = await main(argv, {
+    stdin: Readable.from([Buffer.from(input)], { objectMode: false }),
+    stdout: collect('stdout'),
+    stderr: collect('stderr')
+  })
+  return result
+}
+
+test('help', async t => {
+  const result = await run(['--help'])
+  t.is(result.code, 0)
+  t.regex(result.stdout, /^Usage: fixed-width/)
+})
+
+test('convert to ndjson', async t => {
+  const result = await run(['--layout', t.context.layout], text)
+  t.is(result.code, 0)
+  t.is(
+    result.stdout,
+    '{"username":"alice","age":24}\n{"username":"bob","age":30}\n'
+  )
+})
+
+test('convert to json', async t => {
+  const result = await run(['-l', t.context.layout, '--to', 'json'], text)
+  t.is(result.code, 0)
+  t.deepEqual(JSON.parse(result.stdout), [
+    { username: 'alice', age: 24 },
+    { username: 'bob', age: 30 }
+  ])
+
+  const empty = await run(['-l', t.context.layout, '--to', 'json'], '')
+  t.is(empty.stdout, '[]\n')
+})
+
+test('convert to csv', async t => {
+  const result = await run(
+    ['-l', t.context.layout, '-t', 'csv', '--from-line', '2'],
+    text + 'eve, "jr"   042\n'
+  )
+  t.is(result.code, 0)
+  t.is(result.stdout, 'username,age\nbob,30\n"eve, ""jr""",42\n')
+})
+
+test('convert to csv with inferred titles', async t => {
+  const file = join(t.context.dir, 'infer.json')
+  await writeFile(file, JSON.stringify({
+    eol: '\n',
+    titles: 'infer',
+    fields: [{ width: 12 }, { width: 3, type: 'integer' }]
+  }))
+  const result = await run(['-l', file, '-t', 'csv'], 'name        age\n' + text)
+  t.is(result.code, 0)
+  t.is(result.stdout, 'name,age\nalice,24\nbob,30\n')
+
+  // Dotted titles are plain properties
+  const dotted = await run(['-l', file, '-t', 'csv'], 'Acct. No    age\n' + text)
+  t.is(dotted.stdout, 'Acct. No,age\nalice,24\nbob,30\n')
+})
+
+test('convert from csv', async t => {
+  const output = join(t.context.dir, 'from-csv.txt')
+  const result = await run(
+    ['-l', t.context.layout, '--from', 'csv', '-o', output, '--eol', '\\r\\n'],
+    'age,username\r\n24,"alice, jr"\r\n30,bob'
+  )
+  t.is(result.code, 0)
+  t.is(await readFile(output, 'utf8'), 'alice, jr   024\r\nbob         030\r\n')
+})
+
+test('convert from ndjson', async t => {
+  const input = join(t.context.dir, 'input.ndjson')
+  await writeFile(input, '{"username":"alice","age":24}\n\n{"username":"bob","age":"30"}')
+
+  const result = await run(['-l', t.context.layout, '-f', 'ndjson', input])
+  t.is(result.code, 0)
+  t.is(result.stdout, text)
+})
+
+test('encoding option', async t => {
+  const input = join(t.context.dir, 'input.ebcdic')
+  await writeFile(input, Buffer.from('8193898385' + '40'.repeat(7) + 'f0f2f425', 'hex'))
+
+  const result = await run(['-l', t.context.layout, '--encoding', 'IBM037', input])
+  t.is(result.code, 0)
+  t.is(result.stdout, '{"username":"alice","age":24}\n')
+})
+
+test('errors', async t => {
+  const invalid = await run(['-l', t.context.layout], text + 'eve         0x0\n')
+  t.is(invalid.code, 1)
+  t.is(invalid.stdout, '{"username":"alice","age":24}\n{"username":"bob","age":30}\n')
+  t.is(
+    invalid.stderr,
+    'fixed-width: Invalid integer value on position 3:13 (INVALID_INTEGER, line 3)\n'
+  )
+
+  const json = await run(['-l', t.context.layout, '-f', 'ndjson'], '{}\n{')
+  t.is(json.code, 1)
+  t.is(json.stderr, 'fixed-width: Invalid JSON at line 2\n')
+
+  const primitive = await run(['-l', t.context.layout, '-f', 'ndjson'], '{}\n42')
+  t.is(primitive.stderr, 'fixed-width: Expected an object or an array at line 2\n')
+
+  const overflow = await run(['-l', t.context.layout, '-f', 'ndjson'], '{"age":"1000"}')
+  t.regex(overflow.stderr, /overflow its width \(FIELD_VALUE_OVERFLOW, line 1\)/)
+
+  const unknown = await run(['--unknown'])
+  t.is(unknown.code, 1)
+  t.regex(unknown.stderr, /Usage: fixed-width/)
+
+  t.regex((await run([])).stderr, /Missing layout file/)
+  t.regex((await run(['-l', t.context.layout, 'a', 'b'])).stderr, /Too many input files/)
+  t.regex((await run(['-l', t.context.layout, '-f', 'csv', '-t', 'csv'])).stderr, /cannot be used together/)
+  t.regex((await run(['-l', t.context.layout, '-t', 'xml'])).stderr, /Unsupported output format/)
+  t.regex((await run(['-l', t.context.layout, '-f', 'xml'])).stderr, /Unsupported input format/)
+  t.regex((await run(['-l', t.context.layout, '--to-line', 'x'])).stderr, /--to-line must be an integer/)
+})
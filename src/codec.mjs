@@ -0,0 +1,86 @@
+import { codePages } from './codepages.mjs'
+import { allocBytes, getNativeCodec } from './platform.mjs'
+
+const aliases = {
+  cp037: 'ibm037',
+  cp37: 'ibm037',
+  ibm37: 'ibm037',
+  cp500: 'ibm500',
+  cp1047: 'ibm1047',
+  cp1250: 'windows1250',
+  cp1251: 'windows1251',
+  cp1252: 'windows1252',
+  cp1253: 'windows1253',
+  cp1254: 'windows1254',
+  cp1255: 'windows1255',
+  cp1256: 'windows1256',
+  cp1257: 'windows1257',
+  cp1258: 'windows1258'
+}
+
+const cache = new Map()
+
+/**
+ * Returns the codec (encode and decode functions) for an encoding name.
+ * Supports runtime encodings (Node.js encodings, or UTF-8 only for the web
+ * build) and the built-in single-byte code pages.
+ */
+export function getCodec (encoding) {
+  let codec = cache.get(encoding)
+  if (!codec) {
+    codec = createCodec(encoding)
+    cache.set(encoding, codec)
+  }
+  return codec
+}
+
+function createCodec (encoding) {
+  const codec = getNativeCodec(encoding)
+  if (codec) {
+    return codec
+  }
+  const name = getCodePageName(encoding)
+  if (name in codePages) {
+    return createCodePageCodec(codePages[name])
+  }
+  throw new TypeError(`Unsupported encoding: ${encoding}`)
+}
+
+function getCodePageName (encoding) {
+  const name = String(encoding).toLowerCase().replace(/[^a-z0-9]/g, '')
+  return aliases[name] || name
+}
+
+function createCodePageCodec (table) {
+  const bytes = new Map()
+  for (let i = 0; i < table.length; i++) {
+    if (table[i] !== '\uFFFD') {
+      bytes.set(table[i], i)
+    }
+  }
+
+  // Unmappable chars are replaced with the question mark
+  const fallback = bytes.get('?')
+
+  const decode = data => {
+    let text = ''
+    for (let i = 0; i < data.length; i++) {
+      text += table[data[i]]
+    }
+    return text
+  }
+
+  return {
+    byteLength: text => text.length,
+    decode,
+    decoder: () => ({ write: decode, end: () => '' }),
+    encode: text => {
+      const buffer = allocBytes(text.length)
+      for (let i = 0; i < text.length; i++) {
+        const byte = bytes.get(text[i])
+        buffer[i] = byte === undefined ? fallback : byte
+      }
+      return buffer
+    }
+  }
+}
@@ -0,0 +1,91 @@
+import test from 'ava'
+
+import { getCodec } from './codec.mjs'
+import { parse } from './parse.mjs'
+import { stringify } from './stringify.mjs'
+
+test('node encodings', t => {
+  const codec = getCodec('utf8')
+  t.deepEqual(codec.encode('Renè'), Buffer.from('Renè'))
+  t.is(codec.decode(Buffer.from('Renè')), 'Renè')
+  t.is(codec.byteLength('Renè'), 5)
+
+  const decoder = codec.decoder()
+  t.is(decoder.write(Buffer.from([0x52, 0x65, 0x6e, 0xc3])), 'Ren')
+  t.is(decoder.write(Buffer.from([0xa8])), 'è')
+  t.is(decoder.end(), '')
+
+  t.is(getCodec('utf8'), codec)
+  t.throws(() => getCodec('unknown'), { message: /Unsupported encoding/ })
+})
+
+test('ebcdic code pages', t => {
+  const hello = Buffer.from([0xc8, 0x85, 0x93, 0x93, 0x96])
+  for (const encoding of ['IBM037', 'ibm-037', 'cp037', 'IBM500', 'IBM1047']) {
+    const codec = getCodec(encoding)
+    t.is(codec.decode(hello), 'Hello')
+    t.is(codec.byteLength('Hello'), 5)
+  }
+
+  const ibm037 = getCodec('IBM037')
+  t.deepEqual(ibm037.encode('Hello'), hello)
+  t.is(ibm037.decode(Buffer.from([0x5a, 0xba])), '![')
+  t.is(getCodec('IBM500').decode(Buffer.from([0x5a, 0xba])), ']¬')
+  t.deepEqual(ibm037.encode('0123456789'), Buffer.from('f0f1f2f3f4f5f6f7f8f9', 'hex'))
+  t.deepEqual(ibm037.encode('\n'), Buffer.from([0x25]))
+  t.deepEqual(getCodec('IBM1047').encode('\n[]'), Buffer.from([0x15, 0xad, 0xbd]))
+
+  // Unmappable chars
+  t.deepEqual(ibm037.encode('a€'), Buffer.from([0x81, 0x6f]))
+})
+
+test('windows code pages', t => {
+  t.deepEqual(getCodec('windows-1252').encode('€ è'), Buffer.from([0x80, 0x20, 0xe8]))
+  t.is(getCodec('cp1252').decode(Buffer.from([0x80, 0x41, 0x81])), '€A�')
+  t.deepEqual(getCodec('windows-1251').encode('Привет'), Buffer.from('cff0e8e2e5f2', 'hex'))
+  t.is(getCodec('Windows-1250').decode(Buffer.from([0x8a, 0xe8])), 'Šč')
+  t.deepEqual(getCodec('windows-1253').encode('Ω?'), Buffer.from([0xd9, 0x3f]))
+})
+
+test('parse and stringify ebcdic', t => {
+  const options = {
+    encoding: 'IBM037',
+    eol: '',
+    unit: 'byte',
+    fields: [
+      { property: 'name', width: 6 },
+      { property: 'amount', type: 'packed', scale: 2, width: 3 }
+    ]
+  }
+
+  const buffer = Buffer.from('d98595544040' + '00123c' + 'c69699935840' + '00001d', 'hex')
+  const items = [
+    { name: 'Renè', amount: 1.23 },
+    { name: 'Forlì', amount: -0.01 }
+  ]
+  t.is(buffer.length, 18)
+  t.deepEqual(parse(buffer, options), items)
+  t.deepEqual(stringify(items, options), buffer)
+})
+
+test('parse and stringify text code pages', t => {
+  const options = {
+    encoding: 'IBM1047',
+    eol: '\n',
+    fields: [
+      { property: 'name', width: 5 },
+      { property: 'qty', type: 'integer', align: 'right', width: 3 }
+    ]
+  }
+
+  const buffer = getCodec('IBM1047').encode('Renè   1\nLuca  42\n')
+  t.deepEqual(buffer.subarray(8, 9), Buffer.from([0x15]))
+  t.deepEqual(parse(buffer, options), [
+    { name: 'Renè', qty: 1 },
+    { name: 'Luca', qty: 42 }
+  ])
+  t.is(
+    stringify([{ name: 'Renè', qty: 1 }, { name: 'Luca', qty: 42 }], options),
+    'Renè   1\nLuca  42\n'
+  )
+})
@@ -0,0 +1,499 @@
+/**
+ * Converts a COBOL copybook into the options object accepted by both
+ * Parser and Stringifier. All columns and widths are expressed in bytes.
+ */
+export function fromCopybook (text, options) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Copybook must be a string')
+  }
+  options = Object(options)
+
+  const items = parseItems(parseStatements(text))
+  const record = selectRecord(items, options.record)
+
+  qualifyNames(record)
+
+  const fields = []
+  pushFields(fields, record, 1, '')
+
+  const properties = new Set()
+  for (const field of fields) {
+    if (properties.has(field.property)) {
+      throw new Error(`Duplicate copybook property: ${field.property}`)
+    }
+    properties.add(field.property)
+  }
+
+  return {
+    eol: '',
+    fields,
+    unit: 'byte'
+  }
+}
+
+/**
+ * Splits the source into statements (lists of words terminated by a period).
+ * Supports both fixed (sequence area and indicator column) and free formats.
+ */
+function parseStatements (text) {
+  const lines = text.split(/\r?\n/)
+  const fixed = lines.every(
+    line => !line.trim() || /^[\d ]{6}([ */-]|$)/.test(line)
+  ) && isFixedFormat(lines)
+
+  const statements = []
+  let words = []
+  for (let i = 0; i < lines.length; i++) {
+    let code = lines[i]
+    if (fixed) {
+      if (code[6] === '*' || code[6] === '/') {
+        continue
+      }
+      code = code.substring(7, 72)
+    }
+    const comment = code.indexOf('*>')
+    if (comment >= 0) {
+      code = code.substring(0, comment)
+    }
+
+    for (let word of splitWords(code)) {
+      const end = word.endsWith('.')
+      if (end) {
+        word = word.substring(0, word.length - 1)
+      }
+      if (word) {
+        if (!words.length) {
+          statements.push({ line: i + 1, words })
+        }
+        words.push(word)
+      }
+      if (end) {
+        words = []
+      }
+    }
+  }
+  return statements
+}
+
+/**
+ * Fixed format has a numbered sequence area, or the first statement starts
+ * with a level number in the code area (column 8). Indented free format
+ * copybooks also match the columns' pattern.
+ */
+function isFixedFormat (lines) {
+  if (lines.some(line => /^\d{6}/.test(line))) {
+    return true
+  }
+  const line = lines.find(
+    line => line.trim() && line[6] !== '*' && line[6] !== '/'
+  )
+  return line !== undefined && /^ *\d{1,2}( |\.|$)/.test(line.substring(7))
+}
+
+function splitWords (code) {
+  const words = []
+  let word = ''
+  let quote = null
+  for (const char of code) {
+    if (quote) {
+      word += char
+      if (char === quote) {
+        quote = null
+      }
+    } else if (char === '"' || char === "'") {
+      word += char
+      quote = char
+    } else if (/\s/.test(char)) {
+      words.push(word)
+      word = ''
+    } else {
+      word += char
+    }
+  }
+  words.push(word)
+  return words
+    .map(value => value.replace(/[,;]$/, ''))
+    .filter(value => value.length > 0)
+}
+
+const clauses = new Set([
+  'BLANK',
+  'EXTERNAL',
+  'GLOBAL',
+  'JUST',
+  'JUSTIFIED',
+  'OCCURS',
+  'PIC',
+  'PICTURE',
+  'REDEFINES',
+  'SIGN',
+  'SYNC',
+  'SYNCHRONIZED',
+  'USAGE',
+  'VALUE',
+  'VALUES'
+])
+
+/**
+ * Builds the items' tree from the statements.
+ */
+function parseItems (statements) {
+  const root = { children: [], level: 0 }
+  const stack = [root]
+
+  for (const { line, words } of statements) {
+    if (!/^\d{1,2}$/.test(words[0])) {
+      throw new Error(`Expected level number at line ${line}`)
+    }
+
+    let level = parseInt(words[0], 10)
+    if (level === 66 || level === 88) {
+      // Renames and condition names do not take any space
+      continue
+    }
+    if (level === 77) {
+      level = 1
+    }
+
+    while (stack[stack.length - 1].level >= level) {
+      stack.pop()
+    }
+    const parent = stack[stack.length - 1]
+
+    const item = parseItem(words, level, line, parent)
+    parent.children.push(item)
+    stack.push(item)
+  }
+
+  return root.children
+}
+
+function parseItem (words, level, line, parent) {
+  let index = 1
+  let name = null
+  if (index < words.length && !isClause(words[index])) {
+    name = words[index++].toUpperCase()
+  }
+
+  const item = {
+    children: [],
+    justified: false,
+    level,
+    line,
+    name: name === 'FILLER' ? null : name,
+    occurs: 1,
+    picture: null,
+    qualifiedName: null,
+    redefines: null,
+    usage: parent.usage || null
+  }
+
+  for (; index < words.length; index++) {
+    const word = words[index].toUpperCase()
+    switch (word) {
+      case 'PIC':
+      case 'PICTURE':
+        index = skipWords(words, index + 1, 'IS')
+        item.picture = words[index]
+        break
+      case 'REDEFINES':
+        item.redefines = words[++index]
+        break
+      case 'OCCURS':
+        item.occurs = parseOccurs(words, index + 1, line)
+        break
+      case 'USAGE':
+        index = skipWords(words, index + 1, 'IS')
+        item.usage = parseUsage(words[index]) || words[index]
+        break
+      case 'SIGN':
+        parseSign(words, index + 1, line)
+        break
+      case 'JUST':
+      case 'JUSTIFIED':
+        item.justified = true
+        break
+      default:
+        item.usage = parseUsage(word) || item.usage
+        break
+    }
+  }
+
+  return item
+}
+
+function isClause (word) {
+  word = word.toUpperCase()
+  return clauses.has(word) || parseUsage(word) !== undefined
+}
+
+function skipWords (words, index, ...values) {
+  while (index < words.length && values.includes(words[index].toUpperCase())) {
+    index++
+  }
+  return index
+}
+
+function parseOccurs (words, index, line) {
+  // Variable-length tables (OCCURS DEPENDING ON) take their maximum size
+  const value = words[index + 1] && words[index + 1].toUpperCase() === 'TO'
+    ? words[index + 2]
+    : words[index]
+  if (!/^\d+$/.test(value) || parseInt(value, 10) <= 0) {
+    throw new Error(`Invalid OCCURS clause at line ${line}`)
+  }
+  return parseInt(value, 10)
+}
+
+function parseSign (words, index, line) {
+  // Trailing overpunch (zoned decimal) is the only supported sign
+  index = skipWords(words, index, 'IS')
+  if (index >= words.length || words[index].toUpperCase() !== 'TRAILING') {
+    throw new Error(`Unsupported SIGN clause at line ${line}`)
+  }
+  if (index + 1 < words.length && words[index + 1].toUpperCase() === 'SEPARATE') {
+    throw new Error(`Unsupported SIGN clause at line ${line}`)
+  }
+}
+
+function parseUsage (word) {
+  switch (word.toUpperCase()) {
+    case 'DISPLAY':
+      return 'display'
+    case 'BINARY':
+    case 'COMP':
+    case 'COMP-4':
+    case 'COMP-5':
+    case 'COMPUTATIONAL':
+    case 'COMPUTATIONAL-4':
+    case 'COMPUTATIONAL-5':
+      return 'binary'
+    case 'COMP-3':
+    case 'COMPUTATIONAL-3':
+    case 'PACKED-DECIMAL':
+      return 'packed'
+    case 'COMP-1':
+    case 'COMP-2':
+    case 'COMPUTATIONAL-1':
+    case 'COMPUTATIONAL-2':
+    case 'INDEX':
+    case 'POINTER':
+      return word.toUpperCase()
+  }
+}
+
+function selectRecord (items, name) {
+  if (!items.length) {
+    throw new Error('Copybook does not contain any data item')
+  }
+
+  if (items[0].level > 1) {
+    // Copybook without record (01 level)
+    return { children: items, name: null, occurs: 1 }
+  }
+
+  if (name === undefined || name === null) {
+    return items[0]
+  }
+  const record = items.find(item => item.name === String(name).toUpperCase())
+  if (!record) {
+    throw new Error(`Unknown copybook record: ${name}`)
+  }
+  return record
+}
+
+/**
+ * Elementary items with the same name (YY OF START-DATE and YY OF END-DATE)
+ * are qualified by the names of their nearest groups.
+ */
+function qualifyNames (record) {
+  const entries = []
+  const collect = (item, groups) => {
+    for (const child of item.children) {
+      if (child.children.length > 0) {
+        collect(child, child.name ? [...groups, child.name] : groups)
+      } else if (child.name) {
+        entries.push({ groups, item: child })
+      }
+    }
+  }
+  collect(record, [])
+
+  const names = new Map()
+  for (const entry of entries) {
+    const list = names.get(entry.item.name) || []
+    names.set(entry.item.name, list.concat(entry))
+  }
+
+  for (const list of names.values()) {
+    const depth = Math.max(...list.map(entry => entry.groups.length))
+    for (let i = 1; list.length > 1 && i <= depth; i++) {
+      const qualified = list.map(
+        ({ groups, item }) => [...groups.slice(-i), item.name].join('-')
+      )
+      if (new Set(qualified).size === list.length || i === depth) {
+        list.forEach(({ item }, index) => {
+          item.qualifiedName = qualified[index]
+        })
+        break
+      }
+    }
+  }
+}
+
+function getPropertyName (item) {
+  return toCamelCase(item.qualifiedName || item.name)
+}
+
+/**
+ * Appends the fields of a single item occurrence. Returns its width.
+ */
+function pushFields (fields, item, column, suffix, redefines = null) {
+  if (item.children.length > 0) {
+    if (item.picture) {
+      throw new Error(`Group item cannot have a PIC clause at line ${item.line}`)
+    }
+
+    const columns = new Map()
+    let offset = column
+    for (const child of item.children) {
+      // Redefinitions do not take any space
+      if (child.redefines) {
+        pushView(fields, child, columns.get(child.redefines.toUpperCase()), suffix)
+        continue
+      }
+      columns.set(child.name, { column: offset, item: child })
+      for (let i = 0; i < child.occurs; i++) {
+        offset += pushFields(
+          fields,
+          child,
+          offset,
+          child.occurs > 1 ? `${suffix}_${i + 1}` : suffix,
+          redefines
+        )
+      }
+    }
+    return offset - column
+  }
+
+  const field = getField(item)
+  if (item.name) {
+    fields.push({
+      property: getPropertyName(item) + suffix,
+      column,
+      ...field,
+      ...(redefines ? { redefines } : {})
+    })
+  }
+  return field.width
+}
+
+/**
+ * Redefinitions of elementary items become views of their field. Other
+ * redefinitions are ignored (the first definition wins).
+ */
+function pushView (fields, item, base, suffix) {
+  if (
+    !base ||
+    !base.item.name ||
+    base.item.children.length > 0 ||
+    base.item.occurs > 1 ||
+    item.occurs > 1
+  ) {
+    return
+  }
+
+  const views = []
+  const width = pushFields(
+    views,
+    item,
+    base.column,
+    suffix,
+    getPropertyName(base.item) + suffix
+  )
+  if (width <= getField(base.item).width) {
+    fields.push(...views)
+  }
+}
+
+function getField (item) {
+  const { line, usage } = item
+  if (usage && usage !== 'display' && usage !== 'binary' && usage !== 'packed') {
+    throw new Error(`Unsupported usage ${usage} at line ${line}`)
+  }
+  if (!item.picture) {
+    throw new Error(`Missing PIC clause at line ${line}`)
+  }
+
+  const picture = parsePicture(item.picture, line)
+
+  if (!picture.numeric) {
+    if (usage && usage !== 'display') {
+      throw new Error(`Non-numeric items must be displayed at line ${line}`)
+    }
+    return item.justified
+      ? { align: 'right', width: picture.width }
+      : { width: picture.width }
+  }
+
+  const field = {}
+  if (usage === 'packed') {
+    field.type = 'packed'
+    field.width = Math.floor(picture.digits / 2) + 1
+  } else if (usage === 'binary') {
+    if (picture.digits > 18) {
+      throw new Error(`Binary items cannot exceed 18 digits at line ${line}`)
+    }
+    field.type = 'binary'
+    field.width = picture.digits <= 4 ? 2 : picture.digits <= 9 ? 4 : 8
+  } else if (picture.signed) {
+    field.type = 'zoned'
+    field.width = picture.digits
+  } else {
+    field.type = picture.scale > 0 ? 'decimal' : 'integer'
+    field.align = 'right'
+    field.pad = '0'
+    field.width = picture.digits
+  }
+  if (picture.scale > 0) {
+    field.scale = picture.scale
+  }
+  if (!picture.signed && (usage === 'packed' || usage === 'binary')) {
+    field.signed = false
+  }
+  return field
+}
+
+function parsePicture (value, line) {
+  const picture = value
+    .toUpperCase()
+    .replace(/(.)\((\d+)\)/g, (match, char, count) => char.repeat(count))
+
+  if (/^S?9*(V9*)?$/.test(picture) && picture.includes('9')) {
+    const [integer, decimal = ''] = picture.split('V')
+    return {
+      digits: integer.replace('S', '').length + decimal.length,
+      numeric: true,
+      scale: decimal.length,
+      signed: integer.startsWith('S')
+    }
+  }
+  if (/[GNPS]/.test(picture) || !picture) {
+    throw new Error(`Unsupported PIC clause ${value} at line ${line}`)
+  }
+
+  // Alphanumeric and edited items
+  return {
+    numeric: false,
+    width: picture.replace(/V/g, '').length
+  }
+}
+
+function toCamelCase (name) {
+  return name
+    .toLowerCase()
+    .split(/[-_]+/)
+    .filter(part => part.length > 0)
+    .map((part, index) => index > 0 ? part[0].toUpperCase() + part.substring(1) : part)
+    .join('')
+}
@@ -0,0 +1,205 @@
+import test from 'ava'
+
+import { fromCopybook } from './copybook.mjs'
+import { parse } from './parse.mjs'
+import { stringify } from './stringify.mjs'
+
+const copybook = `
+000100*----------------------------------------------------------------*
+000200* CUSTOMER MASTER RECORD                                         *
+000300*----------------------------------------------------------------*
+000400 01  CUSTOMER-RECORD.                                             CUST0001
+000500     05  CUST-ID                 PIC 9(6).                        CUST0002
+000600     05  CUST-NAME               PIC X(10).                       CUST0003
+000700     05  CUST-STATUS             PIC X.                           CUST0004
+000800         88  CUST-ACTIVE         VALUE 'A'.                       CUST0005
+000900     05  FILLER                  PIC X(2).                        CUST0006
+001000     05  CUST-BALANCE            PIC S9(7)V99 COMP-3.             CUST0007
+001100     05  CUST-LIMIT              PIC S9(5)V99.                    CUST0008
+001200     05  CUST-DATES.                                              CUST0009
+001300         10  CUST-OPENED         PIC 9(8).                        CUST0010
+001400         10  CUST-OPENED-R REDEFINES CUST-OPENED.                 CUST0011
+001500             15  CUST-OPENED-YEAR PIC 9(4).                       CUST0012
+001600             15  FILLER          PIC 9(4).                        CUST0013
+001700     05  CUST-COUNTERS USAGE IS COMP.                             CUST0014
+001800         10  CUST-ORDERS         PIC 9(4).                        CUST0015
+001900         10  CUST-POINTS         PIC S9(9).                       CUST0016
+002000     05  CUST-MONTHLY            PIC 9(3)V9 OCCURS 3 TIMES.       CUST0017
+002100     05  CUST-RATE               PIC 9V9(3) PACKED-DECIMAL.       CUST0018
+`
+
+test('fromCopybook', t => {
+  t.deepEqual(fromCopybook(copybook), {
+    eol: '',
+    unit: 'byte',
+    fields: [
+      { property: 'custId', column: 1, type: 'integer', align: 'right', pad: '0', width: 6 },
+      { property: 'custName', column: 7, width: 10 },
+      { property: 'custStatus', column: 17, width: 1 },
+      { property: 'custBalance', column: 20, type: 'packed', scale: 2, width: 5 },
+      { property: 'custLimit', column: 25, type: 'zoned', scale: 2, width: 7 },
+      { property: 'custOpened', column: 32, type: 'integer', align: 'right', pad: '0', width: 8 },
+      { property: 'custOpenedYear', column: 32, type: 'integer', align: 'right', pad: '0', width: 4, redefines: 'custOpened' },
+      { property: 'custOrders', column: 40, type: 'binary', signed: false, width: 2 },
+      { property: 'custPoints', column: 42, type: 'binary', width: 4 },
+      { property: 'custMonthly_1', column: 46, type: 'decimal', scale: 1, align: 'right', pad: '0', width: 4 },
+      { property: 'custMonthly_2', column: 50, type: 'decimal', scale: 1, align: 'right', pad: '0', width: 4 },
+      { property: 'custMonthly_3', column: 54, type: 'decimal', scale: 1, align: 'right', pad: '0', width: 4 },
+      { property: 'custRate', column: 58, type: 'packed', scale: 3, signed: false, width: 3 }
+    ]
+  })
+})
+
+test('copybook data', t => {
+  const options = fromCopybook(copybook)
+  const items = [
+    {
+      custId: 42,
+      custName: 'Renè',
+      custStatus: 'A',
+      custBalance: -1234.5,
+      custLimit: 500,
+      custOpened: 20240131,
+      custOpenedYear: 2024,
+      custOrders: 3,
+      custPoints: -1,
+      custMonthly_1: 10.5,
+      custMonthly_2: 0,
+      custMonthly_3: 999.9,
+      custRate: 0.125
+    }
+  ]
+
+  const buffer = stringify(items, options)
+  t.is(buffer.length, 60)
+  t.is(buffer.subarray(0, 17).toString(), '000042Renè     A')
+  t.deepEqual(buffer.subarray(19, 24), Buffer.from('000123450d', 'hex'))
+  t.is(buffer.subarray(24, 31).toString(), '005000{')
+  t.deepEqual(buffer.subarray(39, 45), Buffer.from('0003ffffffff', 'hex'))
+  t.deepEqual(parse(buffer, options), items)
+})
+
+test('free format copybook', t => {
+  const options = fromCopybook(`
+    *> Order lines
+    05 ORDER-ID   PIC X(4).
+    05 ITEMS OCCURS 2 TIMES.
+       10 SKU     PIC X(3).
+       10 QTY     PIC S9(3) COMP-3.
+    05 NOTE       PIC X(5) JUSTIFIED RIGHT. *> Right aligned
+  `)
+  t.deepEqual(options.fields, [
+    { property: 'orderId', column: 1, width: 4 },
+    { property: 'sku_1', column: 5, width: 3 },
+    { property: 'qty_1', column: 8, type: 'packed', width: 2 },
+    { property: 'sku_2', column: 10, width: 3 },
+    { property: 'qty_2', column: 13, type: 'packed', width: 2 },
+    { property: 'note', column: 15, align: 'right', width: 5 }
+  ])
+})
+
+test('indented free format copybook', t => {
+  t.deepEqual(fromCopybook('    01 REC.\n        05 NAME PIC X(10).\n').fields, [
+    { property: 'name', column: 1, width: 10 }
+  ])
+  t.deepEqual(
+    fromCopybook(`
+      01 REC.
+         05 CODE  PIC 9(2).
+         05 NAME  PIC X(3).
+    `).fields,
+    [
+      { property: 'code', column: 1, type: 'integer', align: 'right', pad: '0', width: 2 },
+      { property: 'name', column: 3, width: 3 }
+    ]
+  )
+  t.deepEqual(
+    fromCopybook('       01 REC.\n           05 NAME PIC X(2).').fields,
+    [{ property: 'name', column: 1, width: 2 }]
+  )
+})
+
+test('copybook redefinitions', t => {
+  const options = fromCopybook(`
+    *> Views of elementary items only
+    05 CODE       PIC X(4).
+    05 CODE-R REDEFINES CODE.
+       10 PREFIX  PIC X(2).
+       10 FILLER  PIC X(2).
+    05 WIDE REDEFINES CODE PIC X(6).
+    05 DATES.
+       10 YEAR    PIC 9(4).
+    05 DATES-R REDEFINES DATES PIC X(4).
+  `)
+  t.deepEqual(options.fields, [
+    { property: 'code', column: 1, width: 4 },
+    { property: 'prefix', column: 1, width: 2, redefines: 'code' },
+    { property: 'year', column: 5, type: 'integer', align: 'right', pad: '0', width: 4 }
+  ])
+  t.deepEqual(parse('AB--2024', options), [{ code: 'AB--', prefix: 'AB', year: 2024 }])
+})
+
+test('copybook qualified names', t => {
+  const options = fromCopybook(`
+    01 PERIOD.
+       05 START-DATE.
+          10 YY      PIC 9(2).
+          10 MM      PIC 9(2).
+       05 END-DATE.
+          10 YY      PIC 9(2).
+          10 MM      PIC 9(2).
+       05 PREV.
+          10 END-DATE.
+             15 YY   PIC 9(2).
+       05 DAYS       PIC 9(3).
+  `)
+  t.deepEqual(options.fields.map(field => field.property), [
+    'startDateYy',
+    'startDateMm',
+    'endDateYy',
+    'endDateMm',
+    'prevEndDateYy',
+    'days'
+  ])
+})
+
+test('copybook records', t => {
+  const text = `
+       01 HEADER-RECORD.
+          05 HEADER-TYPE    PIC X.
+          05 HEADER-DATE    PIC 9(8).
+       01 DETAIL-RECORD.
+          05 DETAIL-TYPE    PIC X.
+          05 DETAIL-AMOUNT  PIC 9(5)V99.
+  `
+  t.deepEqual(fromCopybook(text).fields.map(field => field.property), [
+    'headerType',
+    'headerDate'
+  ])
+  t.deepEqual(
+    fromCopybook(text, { record: 'detail-record' }).fields.map(field => field.property),
+    ['detailType', 'detailAmount']
+  )
+  t.throws(() => fromCopybook(text, { record: 'trailer-record' }), {
+    message: /Unknown copybook record/
+  })
+})
+
+test('copybook errors', t => {
+  t.throws(() => fromCopybook(null), { instanceOf: TypeError })
+  t.throws(() => fromCopybook(''), { message: /any data item/ })
+  t.throws(() => fromCopybook('PIC X.'), { message: /level number at line 1/ })
+  t.throws(() => fromCopybook('01 A.'), { message: /Missing PIC/ })
+  t.throws(() => fromCopybook('01 A PIC X(2).\n05 B PIC X.'), { message: /Group item/ })
+  t.throws(() => fromCopybook('01 A PIC N(2).'), { message: /Unsupported PIC/ })
+  t.throws(() => fromCopybook('01 A COMP-1.'), { message: /Unsupported usage COMP-1/ })
+  t.throws(() => fromCopybook('01 A PIC X COMP.'), { message: /Non-numeric/ })
+  t.throws(() => fromCopybook('01 A PIC 9(19) COMP.'), { message: /18 digits/ })
+  t.throws(() => fromCopybook('01 A PIC X OCCURS X.'), { message: /OCCURS/ })
+  t.throws(() => fromCopybook('01 A PIC S9 SIGN LEADING.'), { message: /SIGN/ })
+  t.throws(() => fromCopybook('01 A PIC S9 SIGN TRAILING SEPARATE.'), { message: /SIGN/ })
+  t.throws(
+    () => fromCopybook('01 R.\n05 G.\n10 A PIC X.\n10 A PIC X.'),
+    { message: /Duplicate copybook property: gA/ }
+  )
+})
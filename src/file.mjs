@@ -0,0 +1,91 @@
+import { randomUUID } from 'node:crypto'
+import { createReadStream, createWriteStream } from 'node:fs'
+import { rename, rm } from 'node:fs/promises'
+import { basename, dirname, extname, join } from 'node:path'
+import { Readable, pipeline } from 'node:stream'
+import { pipeline as pump } from 'node:stream/promises'
+import { fileURLToPath } from 'node:url'
+import {
+  createBrotliCompress,
+  createBrotliDecompress,
+  createGunzip,
+  createGzip
+} from 'node:zlib'
+
+import { isAsyncIterable, isIterable } from './options.mjs'
+import { Parser } from './parse.mjs'
+import { Stringifier } from './stringify.mjs'
+
+/**
+ * Parses a file, returns an async iterable of the parsed records. Gzip
+ * (.gz) and Brotli (.br) files are decompressed.
+ */
+export function parseFile (path, options) {
+  const file = toFilePath(path)
+  const compression = getCompression(file)
+
+  const streams = [createReadStream(file)]
+  if (compression === 'gzip') {
+    streams.push(createGunzip())
+  } else if (compression === 'brotli') {
+    streams.push(createBrotliDecompress())
+  }
+  streams.push(Parser.stream(options))
+
+  // Errors are propagated to the last stream (the iterable)
+  return pipeline(...streams, noop)
+}
+
+/**
+ * Serializes an iterable (sync or async) into a file. Data is written into
+ * a temporary file (same directory), and then renamed to the target path.
+ * Gzip (.gz) and Brotli (.br) files are compressed.
+ */
+export async function stringifyFile (path, input, options) {
+  if (!isIterable(input) && !isAsyncIterable(input)) {
+    throw new TypeError('Expected array or iterable')
+  }
+
+  const file = toFilePath(path)
+  const compression = getCompression(file)
+  const temp = join(dirname(file), `.${basename(file)}.${randomUUID()}.tmp`)
+
+  const streams = [Readable.from(input), Stringifier.stream(options)]
+  if (compression === 'gzip') {
+    streams.push(createGzip())
+  } else if (compression === 'brotli') {
+    streams.push(createBrotliCompress())
+  }
+  streams.push(createWriteStream(temp))
+
+  try {
+    await pump(...streams)
+    await rename(temp, file)
+  } catch (err) {
+    await rm(temp, { force: true })
+    throw err
+  }
+}
+
+function toFilePath (path) {
+  if (path instanceof URL) {
+    return fileURLToPath(path)
+  }
+  if (typeof path !== 'string' || path === '') {
+    throw new TypeError('File path must be a string or a file URL')
+  }
+  return path
+}
+
+function getCompression (file) {
+  switch (extname(file).toLowerCase()) {
+    case '.gz':
+      return 'gzip'
+    case '.br':
+      return 'brotli'
+    default:
+      return null
+  }
+}
+
+function noop () {}
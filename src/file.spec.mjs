@@ -0,0 +1,115 @@
+import test from 'ava'
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { pathToFileURL } from 'node:url'
+import { gunzipSync } from 'node:zlib'
+
+import { parseFile, stringifyFile } from './file.mjs'
+import * as web from './file.web.mjs'
+
+const options = {
+  eol: '\n',
+  fields: [
+    { property: 'name', width: 5 },
+    { property: 'age', type: 'integer', align: 'right', width: 3 }
+  ]
+}
+
+const items = [
+  { name: 'Alice', age: 24 },
+  { name: 'Bob', age: 30 }
+]
+
+async function collect (iterable) {
+  const items = []
+  for await (const item of iterable) {
+    items.push(item)
+  }
+  return items
+}
+
+test.beforeEach(async t => {
+  t.context.dir = await mkdtemp(join(tmpdir(), 'fixed-width-'))
+})
+
+test.afterEach.always(async t => {
+  await rm(t.context.dir, { force: true, recursive: true })
+})
+
+test('parse and stringify files', async t => {
+  const file = join(t.context.dir, 'users.txt')
+
+  await stringifyFile(file, items, options)
+  t.is(await readFile(file, 'utf8'), 'Alice 24\nBob   30\n')
+  t.deepEqual(await readdir(t.context.dir), ['users.txt'])
+
+  t.deepEqual(await collect(parseFile(file, options)), items)
+  t.deepEqual(await collect(parseFile(pathToFileURL(file), options)), items)
+})
+
+test('compressed files', async t => {
+  async function * generate () {
+    yield * items
+  }
+
+  for (const name of ['users.txt.gz', 'users.txt.br']) {
+    const file = join(t.context.dir, name)
+    await stringifyFile(file, generate(), options)
+    t.deepEqual(await collect(parseFile(file, options)), items)
+  }
+
+  const data = await readFile(join(t.context.dir, 'users.txt.gz'))
+  t.is(gunzipSync(data).toString(), 'Alice 24\nBob   30\n')
+})
+
+test('atomic writes', async t => {
+  const file = join(t.context.dir, 'users.txt')
+  await writeFile(file, 'previous')
+
+  function * generate () {
+    yield items[0]
+    throw new Error('Broken source')
+  }
+  await t.throwsAsync(stringifyFile(file, generate(), options), {
+    message: 'Broken source'
+  })
+  await t.throwsAsync(stringifyFile(file, [{ name: 'Too long', age: 1 }], options), {
+    code: 'FIELD_VALUE_OVERFLOW'
+  })
+
+  t.is(await readFile(file, 'utf8'), 'previous')
+  t.deepEqual(await readdir(t.context.dir), ['users.txt'])
+
+  await t.throwsAsync(stringifyFile(file, null, options), { instanceOf: TypeError })
+  t.throws(() => parseFile('', options), { instanceOf: TypeError })
+})
+
+test('file errors', async t => {
+  await t.throwsAsync(collect(parseFile(join(t.context.dir, 'missing.txt'), options)), {
+    code: 'ENOENT'
+  })
+
+  const file = join(t.context.dir, 'users.txt.gz')
+  await writeFile(file, 'not compressed')
+  await t.throwsAsync(collect(parseFile(file, options)))
+
+  await writeFile(file.replace('.gz', ''), 'Alice 24\nBob   xx\n')
+  await t.throwsAsync(collect(parseFile(file.replace('.gz', ''), options)), {
+    code: 'INVALID_INTEGER'
+  })
+})
+
+test('early exit', async t => {
+  const file = join(t.context.dir, 'users.txt')
+  await stringifyFile(file, items, options)
+
+  const iterator = parseFile(file, options)[Symbol.asyncIterator]()
+  t.deepEqual(await iterator.next(), { done: false, value: items[0] })
+  t.deepEqual(await iterator.return(), { done: true, value: undefined })
+})
+
+test('web build', t => {
+  t.throws(() => web.parseFile('users.txt'), { message: /not supported/ })
+  t.throws(() => web.stringifyFile('users.txt', []), { message: /not supported/ })
+})
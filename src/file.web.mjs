@@ -0,0 +1,11 @@
+/**
+ * File helpers require Node.js. The web build replaces file.mjs with this
+ * module (see rollup.config.js).
+ */
+export function parseFile () {
+  throw new Error('File helpers are not supported, use webStream() instead')
+}
+
+export function stringifyFile () {
+  throw new Error('File helpers are not supported, use webStream() instead')
+}
@@ -0,0 +1,197 @@
+import { FixedWidthError } from './error.mjs'
+
+/**
+ * Normalizes the grouping rules. Groups require record types (discriminator).
+ */
+export function parseGroups (value, discriminator, records) {
+  if (value === undefined || value === null) {
+    return null
+  }
+  if (!discriminator) {
+    throw new Error('Groups require the discriminator option')
+  }
+  return parseRules(value, records)
+}
+
+function parseRules (items, records) {
+  if (!Array.isArray(items) || items.length <= 0) {
+    throw new TypeError('Group rules must be a non-empty array')
+  }
+  return items.map(item => parseRule(item, records))
+}
+
+function parseRule (item, records) {
+  if (typeof item !== 'object' || item === null) {
+    throw new TypeError('Group rule must be an object')
+  }
+  if (!records.has(item.type)) {
+    throw new Error(`Unknown group record type: ${item.type}`)
+  }
+
+  const trailer = item.trailer === undefined ? null : item.trailer
+  if (trailer !== null && !records.has(trailer)) {
+    throw new Error(`Unknown group trailer type: ${trailer}`)
+  }
+
+  const property = item.property === undefined ? '$children' : item.property
+  if (typeof property !== 'string' && typeof property !== 'symbol') {
+    throw new TypeError('Group property must be a string or a symbol')
+  }
+
+  return {
+    children: item.children === undefined
+      ? []
+      : parseRules(item.children, records),
+    property,
+    trailer,
+    type: item.type
+  }
+}
+
+function findRule (rules, type) {
+  return rules.find(rule => rule.type === type)
+}
+
+function isLeaf (rule) {
+  return rule.children.length <= 0 && rule.trailer === null
+}
+
+/**
+ * Builds record trees from a flat sequence of records. Top-level groups are
+ * returned as soon as they are closed.
+ */
+export class Grouper {
+  constructor (rules, discriminator) {
+    this.property = discriminator.property
+    this.rules = rules
+    this.stack = []
+  }
+
+  /**
+   * Pushes a parsed record, returns the completed top-level items.
+   */
+  push (obj, line, data) {
+    const type = obj[this.property]
+
+    // Find the innermost open group that accepts this record
+    let depth = this.stack.length
+    let rule = null
+    while (depth > 0) {
+      const group = this.stack[depth - 1]
+      if (group.rule.trailer === type) {
+        break
+      }
+      rule = findRule(group.rule.children, type)
+      if (rule) {
+        break
+      }
+      if (group.rule.trailer !== null) {
+        throw unexpectedRecordType(type, line)
+      }
+      depth--
+    }
+    if (depth <= 0) {
+      rule = findRule(this.rules, type)
+      if (!rule) {
+        throw unexpectedRecordType(type, line)
+      }
+    }
+
+    const items = []
+    while (this.stack.length > depth) {
+      items.push(...this.close())
+    }
+
+    if (!rule) {
+      this.stack[depth - 1].obj.$trailer = obj
+      items.push(...this.close())
+      return items
+    }
+
+    if (rule.children.length > 0) {
+      obj[rule.property] = []
+    }
+    if (depth > 0) {
+      const parent = this.stack[depth - 1]
+      parent.obj[parent.rule.property].push(obj)
+    }
+    if (!isLeaf(rule)) {
+      this.stack.push({ data, line, obj, rule })
+    } else if (depth <= 0) {
+      items.push(obj)
+    }
+    return items
+  }
+
+  /**
+   * Closes all open groups, returns the completed top-level items.
+   */
+  end () {
+    const open = this.stack.find(group => group.rule.trailer !== null)
+    if (open) {
+      this.stack = []
+      throw new FixedWidthError(
+        'MISSING_GROUP_TRAILER',
+        `Group started on line ${open.line} is not closed by its trailer (${open.rule.trailer})`,
+        { line: open.line, type: open.rule.trailer }
+      )
+    }
+
+    const items = []
+    while (this.stack.length > 0) {
+      items.push(...this.close())
+    }
+    return items
+  }
+
+  close () {
+    const group = this.stack.pop()
+    return this.stack.length > 0 ? [] : [group.obj]
+  }
+}
+
+function unexpectedRecordType (type, line) {
+  return new FixedWidthError(
+    'UNEXPECTED_RECORD_TYPE',
+    `Unexpected record type on line ${line} (${type})`,
+    { line, type }
+  )
+}
+
+/**
+ * Flattens a record tree into a list of records (opposite of grouping).
+ */
+export function flattenGroup (obj, rules, discriminator, line) {
+  obj = Object(obj)
+
+  const type = obj[discriminator.property]
+  const rule = findRule(rules, type)
+  if (!rule) {
+    throw new FixedWidthError(
+      'UNEXPECTED_RECORD_TYPE',
+      `Unexpected record type on record ${line} (${type})`,
+      { line, type, value: obj }
+    )
+  }
+  if (isLeaf(rule)) {
+    return [obj]
+  }
+
+  const { [rule.property]: children, $trailer, ...record } = obj
+
+  const records = [record]
+  for (const child of children || []) {
+    records.push(...flattenGroup(child, rule.children, discriminator, line))
+  }
+  if (rule.trailer !== null) {
+    if ($trailer === undefined) {
+      throw new FixedWidthError(
+        'MISSING_GROUP_TRAILER',
+        `Record ${line} is missing its trailer (${rule.trailer})`,
+        { line, type: rule.trailer, value: obj }
+      )
+    }
+    records.push($trailer)
+  }
+  return records
+}
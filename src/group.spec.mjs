@@ -0,0 +1,129 @@
+import test from 'ava'
+
+import { parseOptions } from './options.mjs'
+import { Parser, parse } from './parse.mjs'
+import { stringify } from './stringify.mjs'
+
+const records = Object.fromEntries(
+  ['1', '5', '6', '7', '8', '9'].map(type => [
+    type,
+    [{ property: 'value', column: 2, width: 3 }]
+  ])
+)
+
+const options = {
+  discriminator: { width: 1 },
+  eol: '\n',
+  records,
+  groups: [
+    { type: '1' },
+    {
+      type: '5',
+      trailer: '8',
+      property: 'entries',
+      children: [
+        { type: '6', property: 'addenda', children: [{ type: '7' }] }
+      ]
+    },
+    { type: '9' }
+  ]
+}
+
+const text = '1HDR\n5B01\n6E01\n7A01\n6E02\n8C01\n5B02\n8C02\n9END\n'
+
+const tree = [
+  { $type: '1', value: 'HDR' },
+  {
+    $type: '5',
+    value: 'B01',
+    entries: [
+      {
+        $type: '6',
+        value: 'E01',
+        addenda: [{ $type: '7', value: 'A01' }]
+      },
+      { $type: '6', value: 'E02', addenda: [] }
+    ],
+    $trailer: { $type: '8', value: 'C01' }
+  },
+  {
+    $type: '5',
+    value: 'B02',
+    entries: [],
+    $trailer: { $type: '8', value: 'C02' }
+  },
+  { $type: '9', value: 'END' }
+]
+
+test('parse groups', t => {
+  t.deepEqual(parse(text, options), tree)
+})
+
+test('stream groups', t => {
+  const parser = new Parser(options)
+  t.deepEqual(Array.from(parser.write('1HDR\n5B01\n6E01\n7A0')), [tree[0]])
+  t.deepEqual(Array.from(parser.write('1\n6E02\n8C01\n5B02\n')), [tree[1]])
+  t.deepEqual(Array.from(parser.write('8C02\n9END')), [tree[2]])
+  t.deepEqual(Array.from(parser.end()), [tree[3]])
+})
+
+test('groups without trailer', t => {
+  const items = parse('6E01\n7A01\n7A02\n6E02\n', {
+    ...options,
+    groups: [{ type: '6', children: [{ type: '7' }] }]
+  })
+  t.deepEqual(items, [
+    {
+      $type: '6',
+      value: 'E01',
+      $children: [{ $type: '7', value: 'A01' }, { $type: '7', value: 'A02' }]
+    },
+    { $type: '6', value: 'E02', $children: [] }
+  ])
+})
+
+test('unexpected group records', t => {
+  const error = t.throws(() => parse('1HDR\n7A01\n', options), {
+    code: 'UNEXPECTED_RECORD_TYPE'
+  })
+  t.is(error.line, 2)
+  t.is(error.type, '7')
+
+  t.throws(() => parse('5B01\n6E01\n9END\n', options), {
+    code: 'UNEXPECTED_RECORD_TYPE',
+    message: 'Unexpected record type on line 3 (9)'
+  })
+
+  t.throws(() => parse('5B01\n6E01\n', options), {
+    code: 'MISSING_GROUP_TRAILER',
+    message: 'Group started on line 1 is not closed by its trailer (8)'
+  })
+
+  const items = parse('1HDR\n7A01\n5B01\n', { ...options, onError: 'collect' })
+  t.deepEqual(items, [{ $type: '1', value: 'HDR' }])
+  t.like(items.rejected, [
+    { code: 'UNEXPECTED_RECORD_TYPE', line: 2, text: '7A01' },
+    { code: 'MISSING_GROUP_TRAILER', line: 3 }
+  ])
+})
+
+test('stringify groups', t => {
+  t.is(stringify(tree, options), text)
+
+  t.throws(() => stringify([{ $type: '6', value: 'E01' }], options), {
+    code: 'UNEXPECTED_RECORD_TYPE'
+  })
+  t.throws(() => stringify([{ $type: '5', value: 'B01' }], options), {
+    code: 'MISSING_GROUP_TRAILER'
+  })
+})
+
+test('groups validation', t => {
+  const fields = [{ width: 1 }]
+  t.throws(() => parseOptions({ fields, groups: [] }), { message: /discriminator/ })
+  t.throws(() => parseOptions({ ...options, groups: [] }), { instanceOf: TypeError })
+  t.throws(() => parseOptions({ ...options, groups: [null] }), { instanceOf: TypeError })
+  t.throws(() => parseOptions({ ...options, groups: [{ type: '0' }] }), { message: /Unknown group record type/ })
+  t.throws(() => parseOptions({ ...options, groups: [{ type: '5', trailer: '0' }] }), { message: /Unknown group trailer type/ })
+  t.throws(() => parseOptions({ ...options, groups: [{ type: '5', property: 1 }] }), { instanceOf: TypeError })
+})
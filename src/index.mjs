@@ -1,3 +1,6 @@
+export { fromCopybook } from './copybook.mjs'
 export { FixedWidthError } from './error.mjs'
+export { parseFile, stringifyFile } from './file.mjs'
+export { inferLayout } from './infer.mjs'
 export { Parser, parse } from './parse.mjs'
 export { Stringifier, stringify } from './stringify.mjs'
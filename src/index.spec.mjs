@@ -198,3 +198,136 @@ test('stringify stream', async t => {
 
   t.is(text, '1    00042\ntest yeppa')
 })
+
+test('code page streams', async t => {
+  const options = {
+    encoding: 'IBM037',
+    eol: '\n',
+    fields: [
+      { property: 'a', width: 3 },
+      { property: 'b', width: 3 }
+    ]
+  }
+
+  const chunks = []
+  await pump(
+    Readable.from([{ a: 'abc', b: 'è' }]),
+    Stringifier.stream(options),
+    new Writable({
+      write (chunk, encoding, callback) {
+        chunks.push(chunk)
+        callback()
+      }
+    })
+  )
+  const buffer = Buffer.concat(chunks)
+  t.deepEqual(buffer, Buffer.from('818283544040' + '25', 'hex'))
+
+  const items = []
+  await pump(
+    Readable.from([buffer.subarray(0, 4), buffer.subarray(4), 'def  x\n']),
+    Parser.stream(options),
+    new Writable({
+      objectMode: true,
+      write (chunk, encoding, callback) {
+        items.push(chunk)
+        callback()
+      }
+    })
+  )
+  t.deepEqual(items, [
+    { a: 'abc', b: 'è' },
+    { a: 'def', b: 'x' }
+  ])
+})
+
+test('parse stream with tail-relative range', async t => {
+  const items = []
+
+  await pump(
+    Readable.from(['HEAD\n01', '\n02\n', '03\nTAIL\n']),
+    Parser.stream({ eol: '\n', from: 2, to: -1, fields: [{ width: 2 }] }),
+    new Writable({
+      objectMode: true,
+      write (chunk, encoding, callback) {
+        items.push(chunk)
+        callback()
+      }
+    })
+  )
+
+  t.deepEqual(items, [['01'], ['02'], ['03']])
+})
+
+test('stringify stream warnings', async t => {
+  const warnings = []
+  const stream = Stringifier.stream({
+    eol: '\n',
+    overflow: 'truncate',
+    fields: [{ property: 'name', width: 3 }]
+  })
+  stream.on('warning', warning => warnings.push(warning))
+
+  let text = ''
+  await pump(
+    Readable.from([{ name: 'Alice' }, { name: 'Bob' }]),
+    stream,
+    new Writable({
+      write (chunk, encoding, callback) {
+        text += chunk.toString()
+        callback()
+      }
+    })
+  )
+
+  t.is(text, 'Ali\nBob\n')
+  t.like(warnings, [{ code: 'FIELD_VALUE_TRUNCATED', line: 1, text: 'Ali' }])
+})
+
+test('web streams', async t => {
+  const options = {
+    eol: '\n',
+    fields: [
+      { property: 'name', width: 5 },
+      { property: 'age', type: 'integer', align: 'right', width: 3 }
+    ]
+  }
+
+  const items = []
+  const parsed = new Blob(['alice 24\nb', 'ob   30\n'])
+    .stream()
+    .pipeThrough(Parser.webStream(options))
+  for await (const item of parsed) {
+    items.push(item)
+  }
+  t.deepEqual(items, [
+    { name: 'alice', age: 24 },
+    { name: 'bob', age: 30 }
+  ])
+
+  const chunks = []
+  const serialized = ReadableStream.from(items)
+    .pipeThrough(Stringifier.webStream(options))
+  for await (const chunk of serialized) {
+    t.true(chunk instanceof Uint8Array)
+    chunks.push(chunk)
+  }
+  t.is(Buffer.concat(chunks).toString(), 'alice 24\nbob   30\n')
+
+  const failing = ReadableStream.from(['alice  x\n'])
+    .pipeThrough(Parser.webStream(options))
+  await t.throwsAsync(async () => {
+    for await (const item of failing) {
+      t.fail(item)
+    }
+  }, { code: 'INVALID_INTEGER' })
+})
+
+test('parse Uint8Array', t => {
+  const bytes = new TextEncoder().encode('àè\nìò\n')
+  t.deepEqual(parse(bytes, { fields: [{ width: 2 }] }), [['àè'], ['ìò']])
+  t.deepEqual(
+    parse(bytes.subarray(5), { unit: 'byte', fields: [{ width: 4 }] }),
+    [['ìò']]
+  )
+})
@@ -0,0 +1,266 @@
+import { getCodec } from './codec.mjs'
+import { guessEndOfLine } from './parse.mjs'
+import { isBytes } from './platform.mjs'
+
+/**
+ * Guesses the layout of a sample file by analyzing the columns of its lines.
+ * Returns the options for Parser.
+ */
+export function inferLayout (sample, options) {
+  options = Object(options)
+
+  const encoding = options.encoding || 'utf8'
+  let text = sample
+  if (isBytes(sample)) {
+    text = getCodec(encoding).decode(sample)
+  } else if (typeof sample !== 'string') {
+    throw new TypeError('Expected string or buffer')
+  }
+
+  const eol = options.eol === undefined
+    ? guessEndOfLine(text) || '\n'
+    : options.eol
+  if (typeof eol !== 'string' || eol === '') {
+    throw new TypeError('End of line (eol) value must be a non-empty string')
+  }
+
+  const maxLines = options.maxLines === undefined ? 1000 : options.maxLines
+  if (!Number.isInteger(maxLines) || maxLines <= 0) {
+    throw new TypeError('Max lines option must be a positive integer')
+  }
+
+  // Blank lines carry no information
+  let lines = text.split(eol)
+    .map((text, index) => ({ line: index + 1, text }))
+    .filter(item => item.text.trim() !== '')
+
+  const header = options.header === true ? lines.shift() : null
+
+  lines = lines.slice(0, maxLines).map(item => item.text)
+  if (lines.length <= 0) {
+    throw new Error('At least one data line is required')
+  }
+
+  const width = lines.reduce((acc, line) => Math.max(acc, line.length), 0)
+  const tokens = header ? getHeaderTokens(header.text) : []
+
+  const names = new Set()
+  const fields = findRanges(lines, width, tokens).map(([start, end], index) => {
+    const field = inferField(lines, start, end)
+    if (!header) {
+      return field
+    }
+    const name = getUniqueName(getFieldName(tokens, start, end, index), names)
+    return {
+      // Dotted names are plain keys, not nested paths
+      property: name.includes('.') ? [name] : name,
+      ...field
+    }
+  })
+
+  return {
+    allowShorterLines: lines.some(line => line.length < width),
+    ...(encoding !== 'utf8' ? { encoding } : {}),
+    eol,
+    fields,
+    from: header ? header.line + 1 : 1
+  }
+}
+
+/**
+ * Header names are separated by two or more spaces.
+ */
+function getHeaderTokens (text) {
+  return Array.from(text.matchAll(/\S+(?: \S+)*/g), match => ({
+    end: match.index + match[0].length - 1,
+    name: match[0],
+    start: match.index
+  }))
+}
+
+/**
+ * Returns the [start, end] columns (0-based, inclusive) of all fields.
+ */
+function findRanges (lines, width, tokens) {
+  // Columns used by at least one line, and the kind of their chars
+  const filled = new Array(width).fill(false)
+  const kinds = new Array(width).fill(null)
+  for (const line of lines) {
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] !== ' ') {
+        const kind = getCharKind(line[i])
+        kinds[i] = !filled[i] || kinds[i] === kind ? kind : 'mixed'
+        filled[i] = true
+      }
+    }
+  }
+
+  const runs = []
+  for (let i = 0; i < width; i++) {
+    if (filled[i] && (i === 0 || !filled[i - 1])) {
+      runs.push({ start: i, end: i })
+    }
+    if (filled[i]) {
+      runs[runs.length - 1].end = i
+    }
+  }
+
+  // Blank columns belong to the previous field, unless the next one is
+  // right-aligned
+  const starts = new Set([0])
+  for (let i = 1; i < runs.length; i++) {
+    starts.add(
+      isRightAligned(lines, runs[i].start, runs[i].end)
+        ? runs[i - 1].end + 1
+        : runs[i].start
+    )
+  }
+
+  // Without header names, digits next to letters split adjacent fields
+  for (let i = 1; i < width && tokens.length <= 0; i++) {
+    if (
+      kinds[i] !== kinds[i - 1] &&
+      (kinds[i] === 'digit' || kinds[i] === 'letter') &&
+      (kinds[i - 1] === 'digit' || kinds[i - 1] === 'letter')
+    ) {
+      starts.add(i)
+    }
+  }
+
+  // Header names split adjacent fields (filled columns in all lines)
+  for (const token of tokens) {
+    if (
+      token.start > 0 &&
+      lines.every(line => isFilled(line, token.start - 1) && isFilled(line, token.start))
+    ) {
+      starts.add(token.start)
+    }
+  }
+
+  const sorted = Array.from(starts).sort((a, b) => a - b)
+  return sorted.map((start, index) => [
+    start,
+    index < sorted.length - 1 ? sorted[index + 1] - 1 : width - 1
+  ])
+}
+
+function isFilled (line, index) {
+  return index < line.length && line[index] !== ' '
+}
+
+function getCharKind (char) {
+  if (/\d/.test(char)) {
+    return 'digit'
+  } else if (/\p{L}/u.test(char)) {
+    return 'letter'
+  } else {
+    return 'other'
+  }
+}
+
+function getValues (lines, start, end) {
+  const width = end - start + 1
+  return lines
+    .map(line => line.substring(start, end + 1).padEnd(width, ' '))
+    .filter(value => value.trim() !== '')
+}
+
+function isRightAligned (lines, start, end) {
+  const values = getValues(lines, start, end)
+  return values.every(value => value[value.length - 1] !== ' ') &&
+    values.some(value => value[0] === ' ')
+}
+
+function inferField (lines, start, end) {
+  const values = getValues(lines, start, end)
+  const field = {
+    column: start + 1,
+    width: end - start + 1
+  }
+  if (values.length <= 0) {
+    return field
+  }
+
+  if (isRightAligned(lines, start, end)) {
+    field.align = 'right'
+  }
+
+  const type = inferType(values.map(value => value.trim()))
+  if (
+    type.type === 'integer' &&
+    values.every(value => /^\d+$/.test(value)) &&
+    values.some(value => value.length > 1 && value[0] === '0')
+  ) {
+    // Zero-padded numbers
+    field.align = 'right'
+    field.pad = '0'
+  }
+
+  return { ...field, ...type }
+}
+
+function inferType (items) {
+  if (items.every(item => isDate(item, /^(\d{4})(\d{2})(\d{2})$/))) {
+    return { type: 'date', format: 'YYYYMMDD' }
+  }
+  if (items.every(item => isDate(item, /^(\d{4})-(\d{2})-(\d{2})$/))) {
+    return { type: 'date', format: 'YYYY-MM-DD' }
+  }
+
+  if (items.every(item => /^[+-]?\d+$/.test(item))) {
+    return { type: 'integer' }
+  }
+
+  for (const separator of ['.', ',']) {
+    const pattern = separator === '.'
+      ? /^[+-]?(?:\d+|\d*\.(\d+))$/
+      : /^[+-]?(?:\d+|\d*,(\d+))$/
+    const matches = items.map(item => item.match(pattern))
+    if (matches.every(match => match !== null)) {
+      return {
+        type: 'decimal',
+        separator,
+        scale: matches.reduce(
+          (acc, match) => Math.max(acc, match[1] ? match[1].length : 0),
+          0
+        )
+      }
+    }
+  }
+
+  for (const [yes, no] of [['Y', 'N'], ['T', 'F'], ['true', 'false']]) {
+    if (items.every(item => item === yes || item === no)) {
+      return { type: 'boolean', true: yes, false: no }
+    }
+  }
+
+  return {}
+}
+
+function isDate (value, pattern) {
+  const match = value.match(pattern)
+  if (!match) {
+    return false
+  }
+  const year = parseInt(match[1], 10)
+  const month = parseInt(match[2], 10)
+  const day = parseInt(match[3], 10)
+  return year >= 1900 && year <= 2199 &&
+    month >= 1 && month <= 12 &&
+    day >= 1 && day <= 31
+}
+
+function getFieldName (tokens, start, end, index) {
+  const token = tokens.find(item => item.start >= start && item.start <= end) ||
+    tokens.find(item => item.start <= end && item.end >= start)
+  return token ? token.name : `field${index + 1}`
+}
+
+function getUniqueName (name, names) {
+  let result = name
+  for (let i = 2; names.has(result); i++) {
+    result = `${name}_${i}`
+  }
+  names.add(result)
+  return result
+}
@@ -0,0 +1,105 @@
+import test from 'ava'
+
+import { inferLayout } from './infer.mjs'
+import { parse } from './parse.mjs'
+
+test('infer layout with header', t => {
+  const text = 'username    age\nalice       024\nbob         030\n'
+
+  const options = inferLayout(text, { header: true })
+  t.deepEqual(options, {
+    allowShorterLines: false,
+    eol: '\n',
+    fields: [
+      { property: 'username', column: 1, width: 12 },
+      { property: 'age', column: 13, width: 3, align: 'right', pad: '0', type: 'integer' }
+    ],
+    from: 2
+  })
+  t.deepEqual(parse(text, options), [
+    { username: 'alice', age: 24 },
+    { username: 'bob', age: 30 }
+  ])
+})
+
+test('infer layout without header', t => {
+  const text = [
+    '00001ROSSI     MARIO    19800115  1250.50Y',
+    '00002BIANCHI   LUCA     19751201    30.00N',
+    '00003VERDI     ANNA     2001-06-30',
+    '00004NERI      GIULIA   20010630 12000.00Y'
+  ].join('\r\n')
+
+  const options = inferLayout(Buffer.from(text), { maxLines: 2 })
+  t.deepEqual(options, {
+    allowShorterLines: false,
+    eol: '\r\n',
+    fields: [
+      { column: 1, width: 5, align: 'right', pad: '0', type: 'integer' },
+      { column: 6, width: 10 },
+      { column: 16, width: 9 },
+      { column: 25, width: 8, type: 'date', format: 'YYYYMMDD' },
+      { column: 33, width: 9, align: 'right', type: 'decimal', separator: '.', scale: 2 },
+      { column: 42, width: 1, type: 'boolean', true: 'Y', false: 'N' }
+    ],
+    from: 1
+  })
+  t.like(parse(text, { ...options, to: 2 }), [
+    [1, 'ROSSI', 'MARIO', new Date('1980-01-15'), 1250.5, true],
+    [2, 'BIANCHI', 'LUCA', new Date('1975-12-01'), 30, false]
+  ])
+})
+
+test('infer header names', t => {
+  const text = [
+    '',
+    'code  name name   x',
+    'A1    Foo       2024-01-31   1,5',
+    'B22   Foobar    2024-02-01 10,25',
+    'C3'
+  ].join('\n')
+
+  const options = inferLayout(text, { header: true, eol: '\n' })
+  t.like(options, {
+    allowShorterLines: true,
+    from: 3,
+    fields: [
+      { property: 'code', column: 1, width: 6 },
+      { property: 'name name', column: 7, width: 10 },
+      { property: 'x', column: 17, width: 10, type: 'date', format: 'YYYY-MM-DD' },
+      { property: 'field4', column: 27, width: 6, align: 'right', type: 'decimal', separator: ',', scale: 2 }
+    ]
+  })
+  t.deepEqual(parse(text, options).map(item => item['name name']), ['Foo', 'Foobar', ''])
+})
+
+test('infer adjacent fields from header', t => {
+  const options = inferLayout('code  name    flag\nABCDEFMARIO   T\nGHIJKLLUCA    F\n', {
+    header: true
+  })
+  t.like(options.fields, [
+    { property: 'code', column: 1, width: 6 },
+    { property: 'name', column: 7, width: 8 },
+    { property: 'flag', column: 15, width: 1, type: 'boolean', true: 'T', false: 'F' }
+  ])
+
+  const text = 'Acct. No  Name\nA01       alice\n'
+  const dotted = inferLayout(text, { header: true })
+  t.like(dotted.fields, [{ property: ['Acct. No'] }, { property: 'Name' }])
+  t.deepEqual(parse(text, dotted), [{ 'Acct. No': 'A01', Name: 'alice' }])
+
+  const duplicated = inferLayout('a  a\n1  x\n', { header: true, encoding: 'latin1' })
+  t.like(duplicated, {
+    encoding: 'latin1',
+    fields: [{ property: 'a' }, { property: 'a_2' }]
+  })
+})
+
+test('infer layout validation', t => {
+  t.throws(() => inferLayout(null), { instanceOf: TypeError })
+  t.throws(() => inferLayout('a', { eol: '' }), { instanceOf: TypeError })
+  t.throws(() => inferLayout('a', { maxLines: 0 }), { instanceOf: TypeError })
+  t.throws(() => inferLayout('name\n\n', { header: true }), {
+    message: /At least one data line/
+  })
+})
@@ -1,3 +1,10 @@
+import { getCodec } from './codec.mjs'
+import { FixedWidthError } from './error.mjs'
+import { parseGroups } from './group.mjs'
+import { parsePath } from './path.mjs'
+import { parseRules } from './rules.mjs'
+import { getFieldType, isBinaryType } from './types.mjs'
+
 export function parseOptions (options) {
   if (Array.isArray(options)) {
     options = { fields: options }
@@ -9,19 +16,25 @@ export function parseOptions (options) {
   if (typeof encoding !== 'string') {
     throw new TypeError('Encoding must be a string')
   }
+  getCodec(encoding)
 
-  const pad = options.pad || ' '
-  if (typeof pad !== 'string') {
-    throw new TypeError('Padding value (pad) must be a string')
-  }
-  if (pad.length !== 1) {
-    throw new Error('Padding value (pad) must be a single char')
+  const unit = options.unit || 'char'
+  if (unit !== 'char' && unit !== 'byte') {
+    throw new TypeError(`Invalid unit option: ${unit}`)
   }
 
-  const eol = options.eol || ''
-  if (typeof eol !== 'string' && !(eol instanceof RegExp)) {
+  const pad = parsePadOption(options.pad || ' ', unit, encoding)
+
+  // Empty string means fixed-length records (no separator)
+  const eol = options.eol === undefined || options.eol === null
+    ? null
+    : options.eol
+  if (eol !== null && typeof eol !== 'string' && !(eol instanceof RegExp)) {
     throw new TypeError('End of line (eol) value must be a string')
   }
+  if (unit === 'byte' && eol instanceof RegExp) {
+    throw new TypeError('End of line (eol) value must be a string while using bytes')
+  }
 
   const from = options.from || 1
   if (!Number.isInteger(from)) {
@@ -32,25 +45,88 @@ export function parseOptions (options) {
   if (!Number.isInteger(to) && to !== Number.POSITIVE_INFINITY) {
     throw new TypeError('Ending line (to) must be an integer or infinity')
   }
-  /*if (to < from) {
+  // Negative values are relative to the end of the input
+  if (
+    (from > 0 && to > 0 && to < from) ||
+    (from < 0 && to < 0 && to <= from)
+  ) {
     throw new Error('Ending line (to) must be greater or equal to the starting line (from)')
-  }*/
+  }
 
   const trim = options.trim === 'auto' || options.trim === 'left' || options.trim === 'right'
     ? options.trim
     : options.trim !== false
 
-  const fields = parseFields(options.fields, pad, trim)
-  const width = getWidth(fields)
+  const onError = options.onError || 'throw'
+  if (
+    onError !== 'throw' &&
+    onError !== 'skip' &&
+    onError !== 'collect' &&
+    typeof onError !== 'function'
+  ) {
+    throw new TypeError(`Invalid onError option: ${onError}`)
+  }
 
-  const properties = fields.reduce(
-    (acc, field) => acc + (typeof field.property === 'number' ? 0 : 1),
-    0
-  )
-  if (properties > 0 && properties < fields.length) {
-    throw new Error('Target property must be specifier by all fields')
+  const overflow = parseOverflowOption(options.overflow, 'error')
+
+  if (
+    options.onWarning !== undefined &&
+    options.onWarning !== null &&
+    typeof options.onWarning !== 'function'
+  ) {
+    throw new TypeError('Warning handler (onWarning) must be a function')
+  }
+
+  const context = { encoding, overflow, pad, trim, unit }
+
+  const discriminator = parseDiscriminator(options.discriminator)
+  const records = discriminator
+    ? parseRecords(options.records, discriminator, context)
+    : null
+
+  const layout = records
+    ? {
+        fields: [],
+        gaps: [],
+        output: 'object',
+        width: Math.max(...Array.from(records.values(), item => item.width))
+      }
+    : parseLayout(options.fields, context)
+
+  const groups = parseGroups(options.groups, discriminator, records)
+
+  const lossless = options.lossless === true
+  if (lossless && eol instanceof RegExp) {
+    throw new Error('Lossless records require a string end of line (eol)')
+  }
+  if (lossless && groups) {
+    throw new Error('Lossless records cannot be grouped')
+  }
+
+  const rest = options.rest === true
+  if (rest && layout.output !== 'object') {
+    throw new Error('Rest content requires target properties')
   }
 
+  const titles = parseTitlesOption(options.titles)
+  if (titles && discriminator) {
+    throw new Error('Title rows require fields (not records)')
+  }
+
+  const header = parseControlRecord(options.header, 'Header', discriminator, context)
+  const trailer = parseControlRecord(options.trailer, 'Trailer', discriminator, context)
+
+  // Binary bytes could look like line separators, so those layouts default
+  // to fixed-length records
+  const layouts = [
+    layout,
+    ...(records ? records.values() : []),
+    ...[header, trailer].map(control => control && control.layout)
+  ]
+  const binary = layouts.some(
+    item => item && item.fields.some(field => isBinaryType(field.type))
+  )
+
   return {
     allowLongerLines: typeof options.relax === 'boolean'
       ? options.relax
@@ -58,34 +134,432 @@ export function parseOptions (options) {
     allowShorterLines: typeof options.relax === 'boolean'
       ? options.relax
       : options.allowShorterLines === true,
+    discriminator,
     encoding,
     eof: options.eof !== false,
-    eol,
-    fields,
+    eol: eol === null && binary ? '' : eol,
+    fields: layout.fields,
     from,
-    output: properties > 0 ? 'object' : 'array',
+    gaps: layout.gaps,
+    groups,
+    header,
+    lossless,
+    onError,
+    onWarning: options.onWarning || null,
+    output: layout.output,
+    overflow,
     pad,
+    records,
+    rest,
     skipEmptyLines: options.skipEmptyLines !== false,
+    titles,
     to,
+    trailer,
     trim,
+    unit,
+    validateFillers: options.validateFillers === true,
+    width: layout.width
+  }
+}
+
+function parsePadOption (value, unit, encoding) {
+  if (typeof value !== 'string') {
+    throw new TypeError('Padding value (pad) must be a string')
+  }
+  if (value.length !== 1) {
+    throw new Error('Padding value (pad) must be a single char')
+  }
+  if (unit === 'byte' && getCodec(encoding).byteLength(value) !== 1) {
+    throw new Error('Padding value (pad) must be a single byte')
+  }
+  return value
+}
+
+function parseLayout (items, context, discriminator = null) {
+  const entries = parseFields(items, context)
+  const fields = entries.filter(field => !field.filler)
+  if (fields.length <= 0) {
+    throw new Error('At least one field is required')
+  }
+
+  // Record layouts also cover their discriminator (views are not regions)
+  const columns = entries.filter(field => !field.redefines)
+  if (discriminator) {
+    validateDiscriminatorRegion(columns, discriminator)
+  }
+  const regions = discriminator ? [...columns, discriminator] : columns
+  const width = discriminator
+    ? Math.max(getWidth(columns), discriminator.column + discriminator.width - 1)
+    : getWidth(columns)
+
+  const properties = fields.reduce(
+    (acc, field) => acc + (typeof field.property === 'number' ? 0 : 1),
+    0
+  )
+  if (properties > 0 && properties < fields.length) {
+    throw new Error('Target property must be specifier by all fields')
+  }
+
+  return {
+    fields,
+    gaps: getGaps(regions, width, context.pad),
+    output: properties > 0 ? 'object' : 'array',
     width
   }
 }
 
-function parseFields (items, pad, trim) {
+/**
+ * Record fields cannot overwrite the record type code.
+ */
+function validateDiscriminatorRegion (columns, discriminator) {
+  const start = discriminator.column
+  const end = discriminator.column + discriminator.width
+  for (const field of columns) {
+    if (field.column < end && field.column + field.width > start) {
+      throw new FixedWidthError(
+        'DISCRIMINATOR_OVERLAP',
+        `Field on column ${field.column} overlaps the record type code`,
+        {
+          column: field.column,
+          property: field.filler ? null : field.property,
+          width: field.width
+        }
+      )
+    }
+  }
+}
+
+/**
+ * Returns the unmapped regions of a layout (explicit fillers, and gaps
+ * between fields).
+ */
+function getGaps (regions, width, pad) {
+  const gaps = []
+  let column = 1
+  for (const region of regions.slice().sort((a, b) => a.column - b.column)) {
+    if (region.column > column) {
+      gaps.push({ column, pad, width: region.column - column })
+    }
+    if (region.filler) {
+      gaps.push({ column: region.column, pad: region.pad, width: region.width })
+    }
+    column = Math.max(column, region.column + region.width)
+  }
+  if (column <= width) {
+    gaps.push({ column, pad, width: width - column + 1 })
+  }
+  return gaps
+}
+
+function parseDiscriminator (value) {
+  if (value === undefined || value === null) {
+    return null
+  }
+  if (typeof value !== 'object') {
+    throw new TypeError('Discriminator must be an object')
+  }
+  if (!isPositiveInteger(value.width)) {
+    throw new TypeError('Discriminator width must be a positive integer')
+  }
+
+  const column = value.column || 1
+  if (!isPositiveInteger(column)) {
+    throw new TypeError('Discriminator column must be a positive integer')
+  }
+
+  const property = value.property === undefined ? '$type' : value.property
+  if (!isPropertyKey(property)) {
+    throw new TypeError('Discriminator property must be a string or a symbol')
+  }
+
+  return {
+    column,
+    property,
+    width: value.width
+  }
+}
+
+function parseRecords (value, discriminator, context) {
+  if (typeof value !== 'object' || value === null) {
+    throw new TypeError('Records option must be an object')
+  }
+
+  const records = new Map()
+  for (const type of Object.keys(value)) {
+    const length = context.unit === 'byte'
+      ? getCodec(context.encoding).byteLength(type)
+      : type.length
+    if (length > discriminator.width) {
+      throw new Error(`Record type ${type} is wider than its discriminator`)
+    }
+
+    const item = value[type]
+    const layout = parseLayout(
+      Array.isArray(item) ? item : Object(item).fields,
+      context,
+      discriminator
+    )
+    if (layout.output !== 'object') {
+      throw new Error(`Record type ${type} must specify all target properties`)
+    }
+
+    records.set(type, { ...layout, type })
+  }
+
+  if (records.size <= 0) {
+    throw new Error('At least one record type is required')
+  }
+
+  return records
+}
+
+function parseTitlesOption (value) {
+  switch (value) {
+    case true:
+      return 'skip'
+    case 'validate':
+    case 'infer':
+      return value
+    case undefined:
+    case null:
+    case false:
+      return null
+    default:
+      throw new TypeError(`Invalid titles option: ${value}`)
+  }
+}
+
+/**
+ * Header and trailer records. Without fields, the layout is selected by the
+ * discriminator (records option).
+ */
+function parseControlRecord (value, name, discriminator, context) {
+  if (value === undefined || value === null) {
+    return null
+  }
+  if (typeof value !== 'object') {
+    throw new TypeError(`${name} option must be an object`)
+  }
+
+  const layout = value.fields === undefined
+    ? null
+    : parseLayout(value.fields, context)
+  if (!layout && !discriminator) {
+    throw new Error(`${name} fields are required`)
+  }
+
+  const count = value.count === undefined ? null : value.count
+  if (count !== null && !isPropertyKey(count)) {
+    throw new TypeError(`${name} count must be a property name`)
+  }
+
+  const sums = Object(value.sums)
+  for (const key of Object.keys(sums)) {
+    if (!isPropertyKey(sums[key])) {
+      throw new TypeError(`${name} sums must map property names`)
+    }
+  }
+
+  if (
+    value.value !== undefined &&
+    typeof value.value !== 'object' &&
+    typeof value.value !== 'function'
+  ) {
+    throw new TypeError(`${name} value must be an object or a function`)
+  }
+
+  return {
+    count,
+    layout,
+    sums: { ...sums },
+    value: value.value === undefined ? null : value.value
+  }
+}
+
+/**
+ * Nested fields (groups and repeated fields) are expanded into plain fields
+ * with their property path. Their columns are relative to the parent group.
+ */
+function parseFields (items, context, prefix = [], offset = 0) {
   if (!Array.isArray(items)) {
     throw new TypeError('Fields option must be an array')
   }
   const fields = []
   let column = 1
   for (let i = 0; i < items.length; i++) {
-    const field = parseField(items[i], i, column, pad, trim)
-    fields.push(field)
-    column += field.width
+    const base = findRedefinedField(items[i], fields, prefix)
+    if (!base) {
+      const result = expandField(items[i], i, column, context, prefix, offset)
+      fields.push(...result.fields)
+      column += result.width
+      continue
+    }
+
+    // Views do not take any space, and default to the redefined columns
+    const { fields: [view] } = expandField(
+      {
+        ...(items[i].column ? {} : { width: base.width }),
+        ...items[i],
+        redefines: base.property
+      },
+      i,
+      base.column - offset,
+      context,
+      prefix,
+      offset
+    )
+    if (
+      view.column < base.column ||
+      view.column + view.width > base.column + base.width
+    ) {
+      throw new Error(`Field ${String(view.property)} exceeds its redefined field`)
+    }
+    fields.push(view)
   }
   return fields
 }
 
+/**
+ * Views (redefines option) read the columns of a previous field.
+ */
+function findRedefinedField (item, fields, prefix) {
+  if (
+    typeof item !== 'object' ||
+    item === null ||
+    item.redefines === undefined ||
+    item.redefines === null
+  ) {
+    return null
+  }
+  if (typeof item.redefines !== 'string') {
+    throw new TypeError('Redefined field must be a property name')
+  }
+  const property = [...prefix, item.redefines].join('.')
+  const field = fields.find(
+    field => field.property === property && !field.filler && !field.redefines
+  )
+  if (!field) {
+    throw new Error(`Unknown redefined field: ${item.redefines}`)
+  }
+  return field
+}
+
+function expandField (item, index, defaultColumn, context, prefix, offset) {
+  if (typeof item !== 'object' || item === null) {
+    throw new TypeError('Field definition must be an object')
+  }
+
+  const occurs = item.occurs === undefined ? null : item.occurs
+  if (occurs !== null && !isPositiveInteger(occurs)) {
+    throw new TypeError('Field occurs must be a positive integer')
+  }
+
+  if (item.filler !== undefined) {
+    const filler = parseFiller(item, offset + (item.column || defaultColumn), context)
+    return { fields: [filler], width: filler.width }
+  }
+
+  if (item.redefines && (occurs !== null || item.fields !== undefined)) {
+    throw new TypeError('Field views cannot be repeated or nested')
+  }
+
+  if (occurs === null && item.fields === undefined && prefix.length <= 0) {
+    const field = parseField(item, index, defaultColumn, context)
+    return { fields: [field], width: field.width }
+  }
+
+  const keys = getPropertyKeys(item.property)
+  if (!keys) {
+    throw new TypeError('Nested and repeated fields require a property')
+  }
+
+  const column = item.column || defaultColumn
+  if (!isPositiveInteger(column)) {
+    throw new TypeError('Field column must be a positive integer')
+  }
+
+  const fields = []
+  let width = item.width
+  for (let i = 0; i < (occurs || 1); i++) {
+    const path = occurs === null ? [...prefix, ...keys] : [...prefix, ...keys, i]
+    const start = offset + column + i * (width || 0)
+
+    if (item.fields === undefined) {
+      const field = parseField(
+        { ...item, column: start, property: path.join('.') },
+        index,
+        start,
+        context
+      )
+      fields.push({ ...field, path: path.length > 1 ? path : null })
+    } else {
+      const children = parseFields(item.fields, context, path, start - 1)
+      if (width === undefined) {
+        width = children.reduce(
+          (acc, field) => Math.max(acc, field.column + field.width - start),
+          0
+        )
+      }
+      if (!isPositiveInteger(width)) {
+        throw new TypeError('Field width must be a positive integer')
+      }
+      fields.push(...children)
+    }
+  }
+
+  return { fields, width: width * (occurs || 1) }
+}
+
+/**
+ * Fillers are unmapped regions, written with their own padding value.
+ */
+function parseFiller (item, column, context) {
+  if (item.occurs !== undefined || item.fields !== undefined) {
+    throw new TypeError('Fillers cannot be repeated or nested')
+  }
+  if (!isPositiveInteger(item.width)) {
+    throw new TypeError('Field width must be a positive integer')
+  }
+  if (!isPositiveInteger(column)) {
+    throw new TypeError('Field column must be a positive integer')
+  }
+  if (item.filler !== true && typeof item.filler !== 'string') {
+    throw new TypeError('Filler must be true or a padding value')
+  }
+  return {
+    column,
+    filler: true,
+    pad: item.filler === true
+      ? context.pad
+      : parsePadOption(item.filler, context.unit, context.encoding),
+    width: item.width
+  }
+}
+
+function getPropertyKeys (value) {
+  if (typeof value === 'string') {
+    return parsePath(value) || [value]
+  }
+  return Array.isArray(value) ? parsePath(value) || value.slice() : null
+}
+
+function parseOverflowOption (value, defaultValue) {
+  switch (value) {
+    case undefined:
+    case null:
+      return defaultValue
+    case 'error':
+    case 'truncate':
+    case 'truncate-left':
+      return value
+    default:
+      if (typeof value === 'function') {
+        return value
+      }
+      throw new TypeError(`Invalid overflow option: ${value}`)
+  }
+}
+
 function parseTrimOption (value, defaultValue = true) {
   switch (value) {
     case undefined:
@@ -101,7 +575,7 @@ function parseTrimOption (value, defaultValue = true) {
   }
 }
 
-function parseField (field, index, defaultColumn, defaultPad, defaultTrim) {
+function parseField (field, index, defaultColumn, context) {
   if (typeof field !== 'object' || field === null) {
     throw new TypeError('Field definition must be an object')
   }
@@ -114,22 +588,71 @@ function parseField (field, index, defaultColumn, defaultPad, defaultTrim) {
     throw new TypeError('Field column must be a positive integer')
   }
 
-  const pad = field.pad || defaultPad
-  if (typeof pad !== 'string') {
-    throw new TypeError('Padding value (pad) must be a string')
+  const pad = field.pad
+    ? parsePadOption(field.pad, context.unit, context.encoding)
+    : context.pad
+
+  const align = field.align === 'right' ? 'right' : 'left'
+
+  // Normalized fields (parsed options) keep their own path
+  const path = parsePath(field.path === undefined ? field.property : field.path)
+  const property = Array.isArray(field.property)
+    ? field.property.join('.')
+    : isPropertyKey(field.property) ? field.property : index
+
+  let title = field.title === undefined
+    ? typeof property === 'string' ? property : null
+    : field.title
+  if (title !== null && typeof title !== 'string') {
+    throw new TypeError('Field title must be a string')
   }
-  if (pad.length !== 1) {
-    throw new Error('Padding value (pad) must be a single char')
+  if (title !== null) {
+    // Titles are cut to the field's width
+    title = title.substring(0, field.width)
+  }
+
+  const type = getFieldType({ ...field, align, pad })
+  if (isBinaryType(field.type) && context.unit !== 'byte') {
+    throw new Error(`Field type ${field.type} requires byte unit`)
+  }
+
+  const redefines = typeof field.redefines === 'string' ? field.redefines : null
+  const when = field.when === undefined ? null : field.when
+  if (when !== null && typeof when !== 'function') {
+    throw new TypeError('Field condition (when) must be a function')
+  }
+  if (when && !redefines) {
+    throw new Error('Conditional fields must redefine another field')
   }
 
   return {
-    align: field.align === 'right' ? 'right' : 'left',
-    cast: typeof field.cast === 'function' ? field.cast : null,
+    align,
+    cast: typeof field.cast === 'function'
+      ? field.cast
+      : type ? type.cast : null,
     column,
+    // Numbers are never truncated silently, other fields inherit the global
+    // option (see stringify)
+    overflow: parseOverflowOption(
+      field.overflow,
+      type && type.numeric ? 'error' : null
+    ),
     pad,
-    property: isPropertyKey(field.property) ? field.property : index,
-    stringify: typeof field.stringify === 'function' ? field.stringify : null,
-    trim: parseTrimOption(field.trim, defaultTrim),
+    path,
+    property,
+    redefines,
+    rules: parseRules(field),
+    stringify: typeof field.stringify === 'function'
+      ? field.stringify
+      : type ? type.stringify : null,
+    title,
+    trim: parseTrimOption(
+      field.trim,
+      // Zero-padded numbers can only have leading zeros
+      type && type.numeric && pad === '0' ? 'left' : context.trim
+    ),
+    type: type ? field.type : null,
+    when,
     width: field.width
   }
 }
@@ -174,6 +697,15 @@ function isPropertyKey (value) {
   return typeof value === 'string' || typeof value === 'symbol'
 }
 
+/**
+ * Header and trailer records can have their own fields.
+ */
+export function getControlOptions (options, control) {
+  return control && control.layout
+    ? { ...options, ...control.layout, discriminator: null }
+    : options
+}
+
 export function isIterable (value) {
   return typeof value !== 'string' && Symbol.iterator in Object(value)
 }
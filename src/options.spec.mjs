@@ -11,6 +11,7 @@ test('defaults', t => {
   t.deepEqual(options, {
     allowLongerLines: true,
     allowShorterLines: false,
+    discriminator: null,
     encoding: 'utf8',
     eof: true,
     eol: '\n',
@@ -19,29 +20,56 @@ test('defaults', t => {
         align: 'left',
         cast: null,
         column: 1,
+        overflow: null,
         pad: ' ',
+        path: null,
         property: 0,
+        redefines: null,
+        rules: null,
         stringify: null,
+        title: null,
         trim: true,
+        type: null,
+        when: null,
         width: 2
       },
       {
         align: 'left',
         cast: null,
         column: 3,
+        overflow: null,
         pad: ' ',
+        path: null,
         property: 1,
+        redefines: null,
+        rules: null,
         stringify: null,
+        title: null,
         trim: true,
+        type: null,
+        when: null,
         width: 2
       }
     ],
     from: 1,
+    gaps: [],
+    groups: null,
+    header: null,
+    lossless: false,
+    onError: 'throw',
+    onWarning: null,
     output: 'array',
+    overflow: 'error',
     pad: ' ',
+    records: null,
+    rest: false,
     skipEmptyLines: true,
+    titles: null,
     to: Number.POSITIVE_INFINITY,
+    trailer: null,
     trim: true,
+    unit: 'char',
+    validateFillers: false,
     width: 4
   })
 })
@@ -50,13 +78,16 @@ test('validation', t => {
   t.throws(() => parseOptions(null))
   t.throws(() => parseOptions({}))
   t.throws(() => parseOptions({ encoding: {} }))
+  t.throws(() => parseOptions({ encoding: 'unknown' }), { message: /Unsupported encoding/ })
   t.throws(() => parseOptions({ pad: {} }))
   t.throws(() => parseOptions({ pad: '  ' }))
   t.throws(() => parseOptions({ eol: {} }))
   t.throws(() => parseOptions([]))
-  //t.throws(() => parseOptions({ from: -1 }))
-  //t.throws(() => parseOptions({ to: -1 }))
-  t.throws(() => parseOptions({ from: 10, to: 2 }))
+  t.throws(() => parseOptions({ from: 1.5, fields: [{ width: 1 }] }))
+  t.throws(() => parseOptions({ to: 1.5, fields: [{ width: 1 }] }))
+  t.throws(() => parseOptions({ from: 10, to: 2, fields: [{ width: 1 }] }))
+  t.throws(() => parseOptions({ from: -2, to: -2, fields: [{ width: 1 }] }))
+  t.throws(() => parseOptions({ from: -1, to: -3, fields: [{ width: 1 }] }))
   t.throws(() => parseOptions([{ property: 'a', width: 1 }, { width: 1 }]))
   t.throws(() => parseOptions({ fields: null }))
   t.throws(() => parseOptions({ fields: [null] }))
@@ -75,6 +106,82 @@ test('validation', t => {
   t.throws(() => parseOptions([
     { trim: 'unknown', width: 1 }
   ]))
+  t.throws(() => parseOptions({ unit: 'bit', fields: [{ width: 1 }] }))
+  t.throws(() => parseOptions({ onError: 'log', fields: [{ width: 1 }] }))
+  t.throws(() => parseOptions({ onWarning: 'log', fields: [{ width: 1 }] }))
+  t.throws(() => parseOptions({ overflow: 'cut', fields: [{ width: 1 }] }))
+  t.throws(() => parseOptions([{ overflow: true, width: 1 }]))
+  t.throws(() => parseOptions({
+    unit: 'byte',
+    eol: /\n/,
+    fields: [{ width: 1 }]
+  }))
+  t.throws(() => parseOptions({
+    unit: 'byte',
+    pad: 'à',
+    fields: [{ width: 1 }]
+  }))
+  t.throws(() => parseOptions({
+    unit: 'byte',
+    fields: [{ pad: 'à', width: 1 }]
+  }))
+  t.throws(() => parseOptions({
+    unit: 'byte',
+    discriminator: { width: 1 },
+    records: { à: [{ property: 'a', column: 3, width: 1 }] }
+  }))
+})
+
+test('records', t => {
+  const options = parseOptions({
+    discriminator: { width: 1 },
+    records: {
+      H: [{ property: 'date', column: 2, width: 8 }],
+      D: {
+        fields: [
+          { property: 'name', column: 2, width: 10 },
+          { property: 'amount', column: 12, width: 5 }
+        ]
+      }
+    }
+  })
+
+  t.deepEqual(options.discriminator, {
+    column: 1,
+    property: '$type',
+    width: 1
+  })
+  t.is(options.fields.length, 0)
+  t.is(options.output, 'object')
+  t.is(options.width, 16)
+  t.like(options.records.get('H'), { type: 'H', output: 'object', width: 9 })
+  t.like(options.records.get('D'), {
+    type: 'D',
+    output: 'object',
+    width: 16,
+    fields: [{ column: 2 }, { column: 12 }]
+  })
+
+  t.throws(() => parseOptions({ discriminator: 1, records: {} }))
+  t.throws(() => parseOptions({ discriminator: { width: 0 }, records: {} }))
+  t.throws(() => parseOptions({
+    discriminator: { column: -1, width: 1 },
+    records: {}
+  }))
+  t.throws(() => parseOptions({
+    discriminator: { property: 42, width: 1 },
+    records: {}
+  }))
+  t.throws(() => parseOptions({ discriminator: { width: 1 } }))
+  t.throws(() => parseOptions({ discriminator: { width: 1 }, records: {} }))
+  t.throws(() => parseOptions({
+    discriminator: { width: 1 },
+    records: { HH: [{ property: 'a', width: 1 }] }
+  }))
+  t.throws(() => parseOptions({
+    discriminator: { width: 1 },
+    records: { H: [{ width: 1 }] }
+  }))
 })
 
 test('isIterable', t => {
@@ -1,17 +1,36 @@
-import { Transform } from 'node:stream'
-import { StringDecoder } from 'node:string_decoder'
-
+import {
+  createAggregates,
+  getControlValues,
+  updateAggregates
+} from './aggregates.mjs'
+import { getCodec } from './codec.mjs'
 import { FixedWidthError } from './error.mjs'
-import { isAsyncIterable, isIterable, parseOptions } from './options.mjs'
+import { Grouper } from './group.mjs'
+import {
+  getControlOptions,
+  isAsyncIterable,
+  isIterable,
+  parseOptions
+} from './options.mjs'
+import { setValue } from './path.mjs'
+import {
+  Transform,
+  allocBytes,
+  concatBytes,
+  indexOfBytes,
+  isBytes,
+  toBytes
+} from './platform.mjs'
+import { validateField } from './rules.mjs'
+import { isBinaryType } from './types.mjs'
 
 export class Parser {
   static stream (options) {
     const parser = new Parser(options)
 
-    return new Transform({
+    return exposeRejected(new Transform({
       allowHalfOpen: false,
-      decodeStrings: true,
-      defaultEncoding: parser.options.encoding,
+      decodeStrings: false,
       readableObjectMode: true,
       writableObjectMode: false,
       transform (chunk, encoding, callback) {
@@ -34,85 +53,556 @@ export class Parser {
           callback(err)
         }
       }
-    })
+    }), parser)
+  }
+
+  /**
+   * WHATWG TransformStream version of the parser (browsers, Deno, Bun).
+   */
+  static webStream (options) {
+    const parser = new Parser(options)
+
+    return exposeRejected(new TransformStream({
+      transform (chunk, controller) {
+        for (const data of parser.write(chunk)) {
+          controller.enqueue(data)
+        }
+      },
+      flush (controller) {
+        for (const data of parser.end()) {
+          controller.enqueue(data)
+        }
+      }
+    }), parser)
+  }
+
+  /**
+   * Creates a parser that continues from a checkpoint. The input must be
+   * read from the checkpoint's byte offset.
+   */
+  static resume (checkpoint, options) {
+    const state = Object(checkpoint)
+    if (
+      !Number.isInteger(state.byteOffset) ||
+      state.byteOffset < 0 ||
+      !Number.isInteger(state.line) ||
+      state.line < 1 ||
+      typeof state.text !== 'string'
+    ) {
+      throw new TypeError('Invalid checkpoint')
+    }
+
+    const parser = new Parser(options)
+    const codec = getCodec(parser.options.encoding)
+
+    if (parser.options.eol === null && typeof state.eol === 'string') {
+      parser.options.eol = state.eol
+    }
+    if (parser.options.unit === 'byte') {
+      parser.buffer = codec.encode(state.text)
+    } else {
+      parser.text = state.text
+    }
+    parser.consumed = state.byteOffset
+    parser.line = state.line
+    parser.offset = state.offset || 0
+    parser.byteOffset = state.byteOffset - codec.byteLength(state.text)
+
+    const aggregates = Object(state.aggregates)
+    parser.aggregates.count = aggregates.count || 0
+    parser.aggregates.sums = { ...aggregates.sums }
+
+    // Title row and header record are read again
+    if (state.titles && parser.options.titles) {
+      const { line, text } = state.titles
+      parser.titleRow = { line, text }
+      parser.parseTitles(encodeLine(text, parser.options), line)
+    }
+    if (state.header && parser.options.header) {
+      const { line, text } = state.header
+      const data = encodeLine(text, parser.options)
+      const control = parser.options.header
+      parser.header = { line, text }
+      parser.controls.push({
+        control,
+        data,
+        line,
+        result: parseFields(data, getControlOptions(parser.options, control), line)
+      })
+    }
+    parser.started = state.started === true
+
+    return parser
   }
 
   constructor (options) {
     this.options = parseOptions(options)
 
-    this.decoder = new StringDecoder(this.options.encoding)
+    this.aggregates = createAggregates()
+    this.buffer = allocBytes(0)
+    this.byteOffset = 0
+    this.consumed = 0
+    this.controls = []
+    this.decoder = getCodec(this.options.encoding).decoder()
+    this.grouper = this.options.groups
+      ? new Grouper(this.options.groups, this.options.discriminator)
+      : null
+    this.header = null
     this.line = 1
+    this.offset = 0
+    this.queue = []
+    this.rejected = []
+    this.started = false
     this.text = ''
-    this.totalLines = 0;
+    this.titleRow = null
   }
 
   * end () {
-    if (this.text.length) {
-      let outOfRange = false;
+    const data = this.options.unit === 'byte' ? this.buffer : this.text
+    if (data.length) {
+      yield * this.parseLine(data)
+    }
 
-      if (this.options.from > 0 && this.line < this.options.from) outOfRange = true;
-      if (this.options.from < 0 && this.line < (this.totalLines + 1 + this.options.from)) outOfRange = true;
-      if (this.options.to > 0 && this.line > this.options.to) outOfRange = true;
-      if (this.options.to < 0 && this.line > (this.totalLines + 1 + this.options.to)) outOfRange = true;
+    // Tail-relative ranges are resolved at the end
+    const { to, trailer } = this.options
+    const queue = to < 0
+      ? this.queue.slice(0, Math.max(0, this.queue.length + to))
+      : this.queue.filter(item => item.line <= to)
 
-      if (!outOfRange) {
-        yield parseFields(
-          this.text,
-          this.options,
-          this.line++
+    // Reset internal status
+    this.buffer = allocBytes(0)
+    this.text = ''
+    this.line = 1
+    this.offset = 0
+    this.byteOffset = 0
+    this.consumed = 0
+    this.queue = []
+
+    for (let i = 0; i < queue.length; i++) {
+      yield * this.parseRecord(
+        queue[i],
+        // The last line is the trailer record
+        trailer && i === queue.length - 1 ? trailer : null
+      )
+    }
+
+    const { aggregates, controls } = this
+    this.aggregates = createAggregates()
+    this.controls = []
+    this.header = null
+    this.started = false
+    this.titleRow = null
+
+    for (const item of controls) {
+      this.verifyControlRecord(item, aggregates)
+    }
+
+    if (this.grouper) {
+      yield * this.endGroups()
+    }
+  }
+
+  /**
+   * Returns the JSON-serializable state of the parser (see Parser.resume).
+   * Delayed lines are included in the pending text, or read again while
+   * using bytes.
+   */
+  checkpoint () {
+    const { eol, from, to, unit } = this.options
+    if (from < 0 || to < 0) {
+      throw new Error('Checkpoints do not support tail-relative ranges')
+    }
+    if (this.grouper && this.grouper.stack.length > 0) {
+      throw new Error('Checkpoints are not supported inside open groups')
+    }
+
+    const [first] = this.queue
+    if (first && typeof eol !== 'string') {
+      throw new Error('Checkpoints require a string end of line (eol)')
+    }
+
+    let byteOffset = this.consumed
+    let text = ''
+    if (unit === 'byte') {
+      byteOffset -= this.buffer.length
+      if (first) {
+        // Skipped lines between delayed lines are empty
+        const eolLength = getCodec(this.options.encoding).byteLength(eol)
+        byteOffset -= this.queue.reduce(
+          (acc, item) => acc + item.data.length,
+          (this.line - first.line) * eolLength
         )
       }
+    } else if (first) {
+      let line = first.line
+      for (const item of this.queue) {
+        text += eol.repeat(item.line - line) + item.data
+        line = item.line
+      }
+      text += eol.repeat(this.line - line) + this.text
+    } else {
+      text = this.text
     }
 
-    // Reset internal status
-    this.text = ''
-    this.line = 1
-    this.totalLines = 0;
+    return {
+      aggregates: {
+        count: this.aggregates.count,
+        sums: { ...this.aggregates.sums }
+      },
+      byteOffset,
+      eol: typeof eol === 'string' ? eol : null,
+      header: this.header,
+      line: first ? first.line : this.line,
+      offset: first && first.position ? first.position.offset : this.offset,
+      started: this.started,
+      text,
+      titles: this.titleRow
+    }
   }
 
   * write (input) {
-    this.text += typeof input === 'string'
+    if (this.options.unit === 'byte') {
+      yield * this.writeBytes(input)
+    } else {
+      yield * this.writeText(input)
+    }
+  }
+
+  * writeText (input) {
+    const text = typeof input === 'string'
       ? input
       : this.decoder.write(input)
 
-    if (!this.options.eol) {
+    this.text += text
+    this.consumed += getCodec(this.options.encoding).byteLength(text)
+
+    if (this.options.eol === null) {
       const eol = guessEndOfLine(this.text)
       if (eol) {
         this.options.eol = eol
       }
     }
 
-    if (this.options.eol) {
+    if (this.options.eol === '') {
+      const chunks = this.splitRecords(this.text)
+
+      // Ignore last record (could be partial)
+      this.text = chunks.pop()
+
+      yield * this.parseLines(chunks)
+    } else if (this.options.eol) {
       const chunks = this.text.split(this.options.eol)
 
       // Ignore last line (could be partial)
       this.text = chunks.pop()
 
-      this.totalLines = chunks.length;
+      yield * this.parseLines(chunks)
+    }
+  }
+
+  * writeBytes (input) {
+    const codec = getCodec(this.options.encoding)
 
-      if (this.text.length) this.totalLines += 1;
+    const chunk = typeof input === 'string'
+      ? codec.encode(input)
+      : toBytes(input)
 
-      for (const chunk of chunks) {
-        let outOfRange = false;
-        
-        if (this.options.from > 0 && this.line < this.options.from) outOfRange = true;
-        if (this.options.from < 0 && this.line < (this.totalLines + 1 + this.options.from)) outOfRange = true;
-        if (this.options.to > 0 && this.line > this.options.to) outOfRange = true;
-        if (this.options.to < 0 && this.line > (this.totalLines + 1 + this.options.to)) outOfRange = true;
+    this.buffer = this.buffer.length
+      ? concatBytes([this.buffer, chunk])
+      : chunk
+    this.consumed += chunk.length
 
-        if (outOfRange) {
-          this.line++;
-          continue;
+    if (this.options.eol === null) {
+      const eol = guessEndOfLine(codec.decode(this.buffer))
+      if (eol) {
+        this.options.eol = eol
+      }
+    }
+
+    if (this.options.eol === '') {
+      const chunks = this.splitRecords(this.buffer)
+
+      // Ignore last record (could be partial)
+      this.buffer = chunks.pop()
+
+      yield * this.parseLines(chunks)
+    } else if (this.options.eol) {
+      const chunks = splitBuffer(
+        this.buffer,
+        codec.encode(this.options.eol)
+      )
+
+      // Ignore last line (could be partial)
+      this.buffer = chunks.pop()
+
+      yield * this.parseLines(chunks)
+    }
+  }
+
+  /**
+   * Cuts fixed-length records (no separator). Records' length depends on
+   * their layout. The last item is the remaining (partial) data.
+   */
+  splitRecords (data) {
+    const { discriminator } = this.options
+
+    const chunks = []
+    let start = 0
+    while (start < data.length) {
+      let width = this.options.width
+      if (discriminator) {
+        const end = start + discriminator.column + discriminator.width - 1
+        if (end > data.length) {
+          break
         }
-        
-        if (chunk.length > 0 || !this.options.skipEmptyLines) {
-          yield parseFields(
-            chunk,
-            this.options,
-            this.line++
+        width = selectLayout(
+          slice(data, start, end),
+          this.options,
+          this.line + chunks.length
+        ).width
+      }
+      if (start + width > data.length) {
+        break
+      }
+      chunks.push(slice(data, start, start + width))
+      start += width
+    }
+    chunks.push(slice(data, start, data.length))
+    return chunks
+  }
+
+  * parseLines (chunks) {
+    for (const chunk of chunks) {
+      yield * this.parseLine(chunk)
+    }
+  }
+
+  /**
+   * Applies the lines range. Tail-relative ranges (negative values) buffer
+   * only the lines needed to decide which ones are included.
+   */
+  * parseLine (data) {
+    const { from, skipEmptyLines, to, trailer } = this.options
+    const line = this.line++
+    const position = this.options.lossless ? this.trackPosition(data) : null
+
+    if (
+      (from > 0 && line < from) ||
+      (from > 0 && to > 0 && line > to) ||
+      (data.length <= 0 && skipEmptyLines)
+    ) {
+      return
+    }
+
+    this.queue.push({ data, line, position })
+    if (from < 0) {
+      // Keep the last lines
+      if (this.queue.length > -from) {
+        this.queue.shift()
+      }
+    } else if (this.queue.length > Math.max(0, -to) + (trailer ? 1 : 0)) {
+      // Delay lines that could be excluded by the end
+      const item = this.queue.shift()
+      yield * this.parseRecord(item)
+    }
+  }
+
+  /**
+   * Position of a line inside the input (lossless records).
+   */
+  trackPosition (data) {
+    const codec = getCodec(this.options.encoding)
+    const eol = this.options.eol || ''
+
+    const text = decodeLine(data, this.options)
+    const position = {
+      offset: this.offset,
+      byteOffset: this.byteOffset,
+      length: text.length,
+      byteLength: typeof data === 'string' ? codec.byteLength(data) : data.length
+    }
+
+    this.offset += text.length + eol.length
+    this.byteOffset += position.byteLength + codec.byteLength(eol)
+    return position
+  }
+
+  * parseRecord ({ data, line, position }, control = null) {
+    // The title row comes first, then the header record
+    if (this.options.titles && !this.titleRow) {
+      this.titleRow = { line, text: decodeLine(data, this.options) }
+      this.parseTitles(data, line)
+      return
+    }
+    if (!this.started) {
+      this.started = true
+      if (this.options.header) {
+        this.header = { line, text: decodeLine(data, this.options) }
+      }
+      control = control || this.options.header
+    }
+
+    let result
+    try {
+      result = parseFields(data, getControlOptions(this.options, control), line)
+    } catch (err) {
+      this.reject(err, data, line)
+      return
+    }
+
+    if (control) {
+      this.controls.push({ control, data, line, result })
+    } else {
+      updateAggregates(this.aggregates, result, selectRecord(result, this.options).fields)
+    }
+
+    if (this.grouper) {
+      yield * this.pushGroups(result, data, line)
+    } else if (this.options.lossless) {
+      yield {
+        line,
+        value: result,
+        text: decodeLine(data, this.options),
+        ...position,
+        // Header and trailer records are written back with their own fields
+        ...(control
+          ? { control: control === this.options.header ? 'header' : 'trailer' }
+          : {})
+      }
+    } else {
+      yield result
+    }
+  }
+
+  /**
+   * Skips, validates, or reads the property names from the title row.
+   */
+  parseTitles (data, line) {
+    const { titles } = this.options
+    if (titles === 'skip') {
+      return
+    }
+
+    // Views (redefines option) have no column of their own
+    const fields = this.options.fields.filter(field => !field.redefines)
+
+    const values = fields.map(field => parseTitle(data, field, this.options, line))
+
+    if (titles === 'validate') {
+      for (let i = 0; i < fields.length; i++) {
+        const { column, property, title } = fields[i]
+        if (title !== null && values[i] !== title) {
+          this.reject(
+            new FixedWidthError(
+              'UNEXPECTED_HEADER',
+              `Unexpected header title on position ${line}:${column} (expected ${title}, actual ${values[i]})`,
+              { line, column, property, expected: title, actual: values[i] }
+            ),
+            data,
+            line
           )
         }
       }
+      return
+    }
+
+    const properties = values.map((value, i) => value || fields[i].property)
+    const index = properties.findIndex(
+      (property, i) => properties.indexOf(property) !== i
+    )
+    if (index >= 0) {
+      const { column } = fields[index]
+      this.reject(
+        new FixedWidthError(
+          'UNEXPECTED_HEADER',
+          `Duplicated header title on position ${line}:${column} (${properties[index]})`,
+          { line, column, property: properties[index], actual: values[index] }
+        ),
+        data,
+        line
+      )
+      return
+    }
+
+    // Views follow their renamed fields
+    const renamed = new Map(
+      fields.map((field, i) => [field.property, properties[i]])
+    )
+    this.options = {
+      ...this.options,
+      fields: this.options.fields.map(field => {
+        if (field.redefines) {
+          return { ...field, redefines: renamed.get(field.redefines) }
+        }
+        return values[fields.indexOf(field)]
+          ? { ...field, path: null, property: renamed.get(field.property) }
+          : field
+      }),
+      output: 'object'
+    }
+  }
+
+  * pushGroups (result, data, line) {
+    let items
+    try {
+      items = this.grouper.push(result, line, data)
+    } catch (err) {
+      this.reject(err, data, line)
+      return
+    }
+    yield * items
+  }
+
+  * endGroups () {
+    let items
+    try {
+      items = this.grouper.end()
+    } catch (err) {
+      this.reject(err, '', err.line)
+      return
+    }
+    yield * items
+  }
+
+  /**
+   * Compares the control values (count and sums) declared by a header or
+   * trailer record with the actual detail records.
+   */
+  verifyControlRecord ({ control, data, line, result }, aggregates) {
+    const values = getControlValues(control, aggregates)
+    for (const property of Object.keys(values)) {
+      const expected = result[property]
+      const actual = values[property]
+      if (toNumber(expected) !== actual) {
+        this.reject(
+          new FixedWidthError(
+            'CONTROL_TOTAL_MISMATCH',
+            `Control total ${property} on line ${line} does not match (expected ${expected}, actual ${actual})`,
+            { actual, expected, line, property }
+          ),
+          data,
+          line
+        )
+      }
+    }
+  }
+
+  reject (err, data, line) {
+    const { onError } = this.options
+    if (onError === 'throw' || !(err instanceof FixedWidthError)) {
+      throw err
+    }
+
+    const rejection = {
+      code: err.code,
+      error: err,
+      line,
+      text: decodeLine(data, this.options)
+    }
+    if (onError === 'collect') {
+      this.rejected.push(rejection)
+    } else if (typeof onError === 'function') {
+      onError(rejection)
     }
   }
 }
@@ -120,17 +610,31 @@ export class Parser {
 export function parse (input, options) {
   const parser = new Parser(options)
 
-  if (typeof input === 'string' || Buffer.isBuffer(input)) {
-    return Array.from(parser.write(input)).concat(Array.from(parser.end()))
+  if (typeof input === 'string' || isBytes(input)) {
+    return exposeRejected(
+      Array.from(parser.write(input)).concat(Array.from(parser.end())),
+      parser
+    )
   } else if (isIterable(input)) {
-    return parseIterable(input, parser)
+    return exposeRejected(parseIterable(input, parser), parser)
   } else if (isAsyncIterable(input)) {
-    return parseAsyncIterable(input, parser)
+    return exposeRejected(parseAsyncIterable(input, parser), parser)
   } else {
     throw new TypeError('Expected string, buffer, or iterable')
   }
 }
 
+/**
+ * Collected rejections (see onError option) are exposed by the returned
+ * value. The array is filled while parsing.
+ */
+function exposeRejected (target, parser) {
+  if (parser.options.onError === 'collect') {
+    Object.defineProperty(target, 'rejected', { value: parser.rejected })
+  }
+  return target
+}
+
 function * parseIterable (iterable, parser) {
   for (const data of iterable) {
     yield * parser.write(data)
@@ -146,55 +650,225 @@ async function * parseAsyncIterable (iterable, parser) {
 }
 
 export function parseFields (text, options, line = 1) {
-  if (text.length > options.width && !options.allowLongerLines) {
+  text = encodeLine(text, options)
+
+  const layout = selectLayout(text, options, line)
+
+  if (text.length > layout.width && !options.allowLongerLines) {
     throw new FixedWidthError(
       'UNEXPECTED_LINE_LENGTH',
       `Line ${line} is longer than expected (see allowLongerLines options)`,
-      { line, value: text }
+      { line, value: decodeLine(text, options) }
     )
   }
-  if (text.length < options.width && !options.allowShorterLines) {
+  if (text.length < layout.width && !options.allowShorterLines) {
     throw new FixedWidthError(
       'UNEXPECTED_LINE_LENGTH',
       `Line ${line} is shorted than expected (see allowShorterLines options)`,
-      { line, value: text }
+      { line, value: decodeLine(text, options) }
     )
   }
 
-  if (options.output === 'object') {
-    return options.fields.reduce(
-      (acc, field) => set(
-        acc,
-        field.property,
-        parseField(text, field, options, line)
-      ),
-      {}
+  if (options.validateFillers) {
+    validateFillers(text, layout, options, line)
+  }
+
+  if (layout.output === 'object') {
+    const obj = layout.fields.reduce(
+      (acc, field) => field.redefines
+        ? acc
+        : setValue(acc, field, parseField(text, field, options, line)),
+      options.discriminator
+        ? set({}, options.discriminator.property, layout.type)
+        : {}
     )
+    // Views are parsed after all other fields (see field.when)
+    for (const field of layout.fields) {
+      if (field.redefines && (!field.when || testCondition(field, obj, line))) {
+        setValue(obj, field, parseField(text, field, options, line))
+      }
+    }
+    return options.rest
+      ? set(obj, '$rest', parseRest(text, layout, options))
+      : obj
   } else {
-    return options.fields.map(
+    return layout.fields.map(
       field => parseField(text, field, options, line)
     )
   }
 }
 
+function testCondition (field, obj, line) {
+  try {
+    return field.when(obj)
+  } catch (err) {
+    throw new FixedWidthError(
+      'FIELD_CONDITION_FAILURE',
+      `Cannot evaluate condition on position ${line}:${field.column}`,
+      { cause: err, line, column: field.column, property: field.property }
+    )
+  }
+}
+
+function validateFillers (text, layout, options, line) {
+  for (const { column, pad, width } of layout.gaps) {
+    const value = substring(text, column - 1, column - 1 + width, options.encoding)
+    if (Array.from(value).some(char => char !== pad)) {
+      throw new FixedWidthError(
+        'UNEXPECTED_FILLER',
+        `Unexpected filler on position ${line}:${column}`,
+        { line, column, width, value }
+      )
+    }
+  }
+}
+
+/**
+ * Collects the content of all gaps (padded to their width) followed by the
+ * exceeding content of the line.
+ */
+function parseRest (text, layout, options) {
+  if (typeof text === 'string') {
+    return layout.gaps
+      .map(gap => text
+        .substring(gap.column - 1, gap.column - 1 + gap.width)
+        .padEnd(gap.width, gap.pad)
+      )
+      .join('') + text.substring(layout.width)
+  }
+
+  const codec = getCodec(options.encoding)
+  const chunks = layout.gaps.map(gap => {
+    const bytes = allocBytes(gap.width, codec.encode(gap.pad)[0])
+    bytes.set(text.subarray(gap.column - 1, gap.column - 1 + gap.width))
+    return bytes
+  })
+  chunks.push(text.subarray(layout.width))
+  return codec.decode(concatBytes(chunks))
+}
+
+/**
+ * Reads the trimmed text of a field (title row).
+ */
+function parseTitle (data, field, options, line) {
+  return parseField(
+    data,
+    { ...field, cast: null, pad: ' ', rules: null, trim: true, type: null },
+    options,
+    line
+  )
+}
+
+/**
+ * Returns the layout of a parsed object.
+ */
+function selectRecord (obj, options) {
+  return options.discriminator
+    ? options.records.get(obj[options.discriminator.property])
+    : options
+}
+
+function toNumber (value) {
+  return typeof value === 'string' && value !== '' ? Number(value) : value
+}
+
+function selectLayout (text, options, line) {
+  if (!options.discriminator) {
+    return options
+  }
+
+  const { column, width } = options.discriminator
+  const type = trim(
+    substring(text, column - 1, column - 1 + width, options.encoding),
+    options.pad
+  )
+
+  const layout = options.records.get(type)
+  if (!layout) {
+    throw new FixedWidthError(
+      'UNKNOWN_RECORD_TYPE',
+      `Line ${line} has an unknown record type (${type})`,
+      { line, type, value: decodeLine(text, options) }
+    )
+  }
+  return layout
+}
+
 export function parseField (text, field, options, line) {
+  text = encodeLine(text, options)
+
   const index = field.column - 1
 
-  const value = trimString(
-    text.substring(index, index + field.width),
-    field.pad,
-    field.trim,
-    field.align
-  )
+  const value = isBinaryType(field.type)
+    ? text.subarray(index, index + field.width)
+    : trimString(
+      substring(text, index, index + field.width, options.encoding),
+      field.pad,
+      field.trim,
+      field.align
+    )
   if (!field.cast) {
-    return value
+    return validateField(value, value, field, line)
   }
 
-  return field.cast(value, {
-    column: field.column,
-    line,
-    width: field.width
-  })
+  let result
+  try {
+    result = field.cast(value, {
+      column: field.column,
+      line,
+      width: field.width
+    })
+  } catch (err) {
+    if (err instanceof FixedWidthError) {
+      throw err
+    }
+    throw new FixedWidthError(
+      'FIELD_CAST_FAILURE',
+      `Cannot cast value on position ${line}:${field.column}`,
+      { cause: err, line, column: field.column, width: field.width, value }
+    )
+  }
+  return validateField(result, value, field, line)
+}
+
+/**
+ * Byte-based layouts work with buffers.
+ */
+function encodeLine (text, options) {
+  return options.unit === 'byte' && typeof text === 'string'
+    ? getCodec(options.encoding).encode(text)
+    : text
+}
+
+function decodeLine (data, options) {
+  return typeof data === 'string'
+    ? data
+    : getCodec(options.encoding).decode(data)
+}
+
+function slice (data, start, end) {
+  return typeof data === 'string'
+    ? data.substring(start, end)
+    : data.subarray(start, end)
+}
+
+function substring (data, start, end, encoding) {
+  return typeof data === 'string'
+    ? data.substring(start, end)
+    : getCodec(encoding).decode(data.subarray(start, end))
+}
+
+export function splitBuffer (buffer, separator) {
+  const chunks = []
+  let start = 0
+  let index = indexOfBytes(buffer, separator)
+  while (index >= 0) {
+    chunks.push(buffer.subarray(start, index))
+    start = index + separator.length
+    index = indexOfBytes(buffer, separator, start)
+  }
+  chunks.push(buffer.subarray(start))
+  return chunks
 }
 
 function set (obj, key, value) {
@@ -1,11 +1,15 @@
 import test from 'ava'
+import { Readable } from 'node:stream'
 
+import { FixedWidthError } from './error.mjs'
 import { isAsyncIterable, isIterable, parseOptions } from './options.mjs'
 import {
+  Parser,
   guessEndOfLine,
   parse,
   parseField,
   parseFields,
+  splitBuffer,
   trimEnd,
   trimStart,
   trimString
@@ -436,3 +440,934 @@ test('issue #6', t => {
     }]
   )
 })
+
+test('parse records', t => {
+  const text = 'H20240131\nDalice     00024\nDbob       00030\nT2'
+
+  const items = parse(text, {
+    discriminator: { column: 1, width: 1 },
+    records: {
+      H: [{ property: 'date', column: 2, width: 8 }],
+      D: [
+        { property: 'name', column: 2, width: 10 },
+        {
+          property: 'amount',
+          cast: value => parseInt(value, 10),
+          column: 12,
+          width: 5
+        }
+      ],
+      T: [{ property: 'count', column: 2, width: 1 }]
+    }
+  })
+
+  t.deepEqual(items, [
+    { $type: 'H', date: '20240131' },
+    { $type: 'D', name: 'alice', amount: 24 },
+    { $type: 'D', name: 'bob', amount: 30 },
+    { $type: 'T', count: '2' }
+  ])
+})
+
+test('unknown record type', t => {
+  const error = t.throws(
+    () => parse('H1\nX2', {
+      discriminator: { property: 'kind', width: 1 },
+      records: {
+        H: [{ property: 'value', column: 2, width: 1 }]
+      }
+    }),
+    { code: 'UNKNOWN_RECORD_TYPE' }
+  )
+  t.is(error.line, 2)
+  t.is(error.type, 'X')
+})
+
+test('record fields overlapping the discriminator', t => {
+  const error = t.throws(
+    () => parseOptions({
+      discriminator: { column: 2, width: 2 },
+      records: {
+        D: [
+          { property: 'code', width: 1 },
+          { property: 'name', column: 3, width: 3 }
+        ]
+      }
+    }),
+    { instanceOf: FixedWidthError, code: 'DISCRIMINATOR_OVERLAP' }
+  )
+  t.like(error, { column: 3, property: 'name', width: 3 })
+
+  t.notThrows(() => parseOptions({
+    discriminator: { column: 2, width: 2 },
+    records: {
+      D: [
+        { property: 'code', width: 1 },
+        { property: 'name', column: 4, width: 3 }
+      ]
+    }
+  }))
+})
+
+test('parse bytes', t => {
+  const options = {
+    unit: 'byte',
+    fields: [
+      { property: 'name', width: 6 },
+      { property: 'city', width: 6 }
+    ]
+  }
+
+  t.deepEqual(
+    parse('Renè Forlì\nLuca  Rome  \n', options),
+    [
+      { name: 'Renè', city: 'Forlì' },
+      { name: 'Luca', city: 'Rome' }
+    ]
+  )
+
+  const parser = new Parser(options)
+  const buffer = Buffer.from('Renè Forlì\r\nLuca  Rome  ')
+  t.deepEqual(
+    Array.from(parser.write(buffer.subarray(0, 4))),
+    []
+  )
+  t.deepEqual(
+    Array.from(parser.write(buffer.subarray(4, 15))),
+    [{ name: 'Renè', city: 'Forlì' }]
+  )
+  t.is(parser.options.eol, '\r\n')
+  t.deepEqual(
+    Array.from(parser.write(buffer.subarray(15))),
+    []
+  )
+  t.deepEqual(
+    Array.from(parser.end()),
+    [{ name: 'Luca', city: 'Rome' }]
+  )
+
+  t.is(
+    parseField('Renè Forlì', parseOptions(options).fields[1], parseOptions(options), 1),
+    'Forlì'
+  )
+
+  const error = t.throws(
+    () => parse('Renè Forl', options),
+    { code: 'UNEXPECTED_LINE_LENGTH' }
+  )
+  t.is(error.value, 'Renè Forl')
+})
+
+test('splitBuffer', t => {
+  t.deepEqual(
+    splitBuffer(Buffer.from('a\r\nb\r\n'), Buffer.from('\r\n')),
+    [Buffer.from('a'), Buffer.from('b'), Buffer.from('')]
+  )
+  t.deepEqual(
+    splitBuffer(Buffer.from('a'), Buffer.from('\n')),
+    [Buffer.from('a')]
+  )
+})
+
+test('parse fixed-length records', t => {
+  const parser = new Parser({
+    eol: '',
+    fields: [
+      { property: 'a', width: 3 },
+      { property: 'b', width: 2 }
+    ]
+  })
+
+  t.deepEqual(Array.from(parser.write('abc12de')), [{ a: 'abc', b: '12' }])
+  t.deepEqual(Array.from(parser.write('f34gh')), [{ a: 'def', b: '34' }])
+  t.deepEqual(Array.from(parser.write('i56')), [{ a: 'ghi', b: '56' }])
+  t.deepEqual(Array.from(parser.end()), [])
+
+  t.deepEqual(
+    parse(Buffer.from('àèì12òùé34'), {
+      eol: '',
+      unit: 'byte',
+      fields: [{ width: 6 }, { width: 2 }]
+    }),
+    [['àèì', '12'], ['òùé', '34']]
+  )
+})
+
+test('parse fixed-length records with multiple layouts', t => {
+  const options = {
+    eol: '',
+    discriminator: { width: 1 },
+    records: {
+      H: [{ property: 'date', column: 2, width: 8 }],
+      D: [{ property: 'amount', column: 2, width: 3 }]
+    }
+  }
+
+  const chunks = ['H202401', '31D00', '1D002']
+  t.deepEqual(
+    Array.from(parse(chunks, options)),
+    [
+      { $type: 'H', date: '20240131' },
+      { $type: 'D', amount: '001' },
+      { $type: 'D', amount: '002' }
+    ]
+  )
+
+  const error = t.throws(
+    () => parse('D001X001', options),
+    { code: 'UNKNOWN_RECORD_TYPE' }
+  )
+  t.is(error.line, 2)
+})
+
+test('cast failure', t => {
+  const cause = new Error('Oh no')
+  const error = t.throws(
+    () => parse('4x', [
+      { width: 1 },
+      {
+        cast: () => {
+          throw cause
+        },
+        width: 1
+      }
+    ]),
+    { code: 'FIELD_CAST_FAILURE' }
+  )
+  t.like(error, { cause, column: 2, line: 1, value: 'x', width: 1 })
+})
+
+test('collect rejected lines', t => {
+  const options = {
+    eol: '\n',
+    onError: 'collect',
+    fields: [
+      {
+        cast: value => {
+          if (!/^\d+$/.test(value)) {
+            throw new Error('Not a number')
+          }
+          return parseInt(value, 10)
+        },
+        property: 'value',
+        width: 2
+      }
+    ]
+  }
+
+  const items = parse('42\n4\nxx\n69', options)
+  t.deepEqual(items, [{ value: 42 }, { value: 69 }])
+  t.like(items.rejected, [
+    { code: 'UNEXPECTED_LINE_LENGTH', line: 2, text: '4' },
+    { code: 'FIELD_CAST_FAILURE', line: 3, text: 'xx' }
+  ])
+  t.true(items.rejected[1].error instanceof FixedWidthError)
+
+  t.false('rejected' in parse('42', { ...options, onError: 'skip' }))
+})
+
+test('collect rejected lines from iterables and streams', async t => {
+  const options = {
+    eol: '\n',
+    onError: 'collect',
+    fields: [{ property: 'value', type: 'integer', width: 2 }]
+  }
+  const chunks = ['42\n4', '\nxx\n69']
+
+  const iterable = parse(chunks, options)
+  t.deepEqual(iterable.rejected, [])
+  t.deepEqual(Array.from(iterable), [{ value: 42 }, { value: 69 }])
+  t.like(iterable.rejected, [
+    { code: 'UNEXPECTED_LINE_LENGTH', line: 2 },
+    { code: 'INVALID_INTEGER', line: 3 }
+  ])
+
+  const asyncIterable = parse(Readable.from(chunks), options)
+  const items = []
+  for await (const item of asyncIterable) {
+    items.push(item)
+  }
+  t.is(items.length, 2)
+  t.is(asyncIterable.rejected.length, 2)
+
+  const stream = Parser.stream(options)
+  const streamed = []
+  for await (const item of Readable.from(chunks).pipe(stream)) {
+    streamed.push(item)
+  }
+  t.is(streamed.length, 2)
+  t.like(stream.rejected, [{ line: 2 }, { line: 3 }])
+
+  const webStream = Parser.webStream(options)
+  const input = new ReadableStream({
+    start (controller) {
+      chunks.forEach(chunk => controller.enqueue(chunk))
+      controller.close()
+    }
+  })
+  const received = []
+  for await (const item of input.pipeThrough(webStream)) {
+    received.push(item)
+  }
+  t.is(received.length, 2)
+  t.like(webStream.rejected, [{ line: 2 }, { line: 3 }])
+
+  t.false('rejected' in parse(chunks, { ...options, onError: 'skip' }))
+  t.false('rejected' in Parser.stream({ ...options, onError: 'skip' }))
+})
+
+test('reject failed validations and conditions', t => {
+  const failure = new Error('Unexpected')
+  const options = {
+    eol: '\n',
+    onError: 'collect',
+    fields: [
+      {
+        property: 'code',
+        width: 2,
+        validate: value => {
+          if (value === 'XX') {
+            throw failure
+          }
+          return true
+        }
+      },
+      {
+        property: 'letter',
+        redefines: 'code',
+        width: 1,
+        when: record => record.code.startsWith('B') ? record.missing.value : true
+      }
+    ]
+  }
+
+  const items = parse('A1\nXX\nB2\nC3', options)
+  t.deepEqual(items, [{ code: 'A1', letter: 'A' }, { code: 'C3', letter: 'C' }])
+  t.like(items.rejected, [
+    { code: 'INVALID_FIELD_VALUE', line: 2, error: { rule: 'validate', cause: failure } },
+    { code: 'FIELD_CONDITION_FAILURE', line: 3, error: { column: 1, property: 'letter' } }
+  ])
+  t.true(items.rejected[1].error.cause instanceof TypeError)
+})
+
+test('skip rejected lines', t => {
+  t.deepEqual(
+    parse('42\n4\n69', {
+      onError: 'skip',
+      fields: [{ width: 2 }]
+    }),
+    [['42'], ['69']]
+  )
+})
+
+test('rejected lines callback', async t => {
+  const rejected = []
+
+  const items = []
+  for await (const item of parse(
+    [Buffer.from('42\n4'), Buffer.from('\n69\n')],
+    {
+      onError: rejection => rejected.push(rejection),
+      fields: [{ width: 2 }]
+    }
+  )) {
+    items.push(item)
+  }
+
+  t.deepEqual(items, [['42'], ['69']])
+  t.like(rejected, [{ code: 'UNEXPECTED_LINE_LENGTH', line: 2, text: '4' }])
+})
+
+test('custom cast errors', t => {
+  const options = {
+    fields: [
+      {
+        cast () {
+          throw new FixedWidthError('CUSTOM_ERROR', 'Oh no')
+        },
+        width: 2
+      }
+    ]
+  }
+
+  t.throws(() => parse('42', options), { code: 'CUSTOM_ERROR' })
+  t.like(
+    parse('42', { ...options, onError: 'collect' }).rejected,
+    [{ code: 'CUSTOM_ERROR', line: 1, text: '42' }]
+  )
+})
+
+test('tail-relative lines range', async t => {
+  const parseChunks = (chunks, options) => Array.from(
+    parse(chunks, { eol: '\n', fields: [{ width: 2 }], ...options }),
+    ([value]) => value
+  )
+  const chunks = ['H0\nD1\nD', '2\n', 'D3\n\nD4\nT5\n']
+
+  t.deepEqual(parseChunks(chunks, { to: -1 }), ['H0', 'D1', 'D2', 'D3', 'D4'])
+  t.deepEqual(parseChunks(chunks, { from: 2, to: -1 }), ['D1', 'D2', 'D3', 'D4'])
+  t.deepEqual(parseChunks(chunks, { from: -2 }), ['D4', 'T5'])
+  t.deepEqual(parseChunks(chunks, { from: -3, to: -1 }), ['D3', 'D4'])
+  t.deepEqual(parseChunks(chunks, { from: -3, to: 6 }), ['D3', 'D4'])
+  t.deepEqual(parseChunks(chunks, { from: -10, to: -9 }), [])
+  t.deepEqual(parseChunks(chunks, { to: -10 }), [])
+
+  // Empty lines are counted
+  t.deepEqual(parseChunks(chunks, { from: 4, to: 6 }), ['D3', 'D4'])
+
+  // Excluded lines are never parsed
+  t.deepEqual(
+    parse('H0\nD1\nTRAILER', { eol: '\n', from: 2, to: -1, fields: [{ width: 2 }] }),
+    [['D1']]
+  )
+
+  const items = await toArray(
+    parse(
+      (async function * () { yield * chunks })(),
+      { eol: '\n', from: -2, fields: [{ property: 'a', width: 2 }] }
+    )
+  )
+  t.deepEqual(items, [{ a: 'D4' }, { a: 'T5' }])
+})
+
+async function toArray (iterable) {
+  const items = []
+  for await (const item of iterable) {
+    items.push(item)
+  }
+  return items
+}
+
+test('verify control totals', t => {
+  const options = {
+    eol: '\n',
+    fields: [
+      { property: 'name', width: 5 },
+      { property: 'amount', type: 'decimal', scale: 2, align: 'right', pad: '0', width: 6 }
+    ],
+    header: {
+      fields: [{ property: 'date', width: 8 }]
+    },
+    trailer: {
+      fields: [
+        { property: 'count', type: 'integer', width: 3 },
+        { property: 'total', width: 6 }
+      ],
+      count: 'count',
+      sums: { total: 'amount' }
+    }
+  }
+
+  t.deepEqual(
+    parse('20240131\nalice000010\nbob  000020\n002000.30\n', options),
+    [
+      { date: '20240131' },
+      { name: 'alice', amount: 0.1 },
+      { name: 'bob', amount: 0.2 },
+      { count: 2, total: '000.30' }
+    ]
+  )
+
+  const parser = new Parser(options)
+  t.deepEqual(Array.from(parser.write('20240131\nalice000010\n')), [{ date: '20240131' }])
+  t.deepEqual(Array.from(parser.write('003000.10\n')), [{ name: 'alice', amount: 0.1 }])
+  const error = t.throws(() => Array.from(parser.end()), { code: 'CONTROL_TOTAL_MISMATCH' })
+  t.is(error.property, 'count')
+  t.is(error.expected, 3)
+  t.is(error.actual, 1)
+  t.is(error.line, 3)
+  t.deepEqual(parser.aggregates, { count: 0, sums: {} })
+
+  const items = parse('20240131\nalice000010\n001000.20\n', { ...options, onError: 'collect' })
+  t.is(items.length, 3)
+  t.like(items.rejected, [
+    { code: 'CONTROL_TOTAL_MISMATCH', line: 3, text: '001000.20' }
+  ])
+  t.like(items.rejected[0].error, { actual: 0.1, expected: '000.20', property: 'total' })
+})
+
+test('verify control totals with records', async t => {
+  const options = {
+    discriminator: { width: 1 },
+    eol: '\n',
+    records: {
+      H: [{ property: 'count', column: 2, type: 'integer', width: 2 }],
+      D: [{ property: 'qty', column: 2, type: 'integer', width: 2 }],
+      T: [{ property: 'total', column: 2, type: 'integer', width: 3 }]
+    },
+    header: { count: 'count' },
+    trailer: { sums: { total: 'qty' } }
+  }
+
+  const items = await toArray(
+    parse(
+      (async function * () {
+        yield 'H02\nD 4\nD'
+        yield '38\nT042\n'
+      })(),
+      options
+    )
+  )
+  t.deepEqual(items, [
+    { $type: 'H', count: 2 },
+    { $type: 'D', qty: 4 },
+    { $type: 'D', qty: 38 },
+    { $type: 'T', total: 42 }
+  ])
+
+  t.throws(() => parse('H03\nD 4\nT004\n', options), {
+    code: 'CONTROL_TOTAL_MISMATCH',
+    message: 'Control total count on line 1 does not match (expected 3, actual 1)'
+  })
+})
+
+test('title rows', t => {
+  const text = 'username    age\nalice       024\nbob         030\n'
+  const fields = [
+    { property: 'username', width: 12 },
+    { property: 'age', type: 'integer', width: 3 }
+  ]
+  const users = [
+    { username: 'alice', age: 24 },
+    { username: 'bob', age: 30 }
+  ]
+
+  t.deepEqual(parse(text, { fields, titles: true }), users)
+  t.deepEqual(parse(text, { fields, titles: 'validate' }), users)
+  t.deepEqual(
+    parse(text, {
+      fields: [{ width: 12 }, { width: 3, type: 'integer' }],
+      titles: 'infer'
+    }),
+    users
+  )
+
+  const error = t.throws(
+    () => parse(text, {
+      fields: [{ property: 'name', width: 12 }, { property: 'age', width: 3 }],
+      titles: 'validate'
+    }),
+    { code: 'UNEXPECTED_HEADER' }
+  )
+  t.like(error, {
+    line: 1,
+    column: 1,
+    property: 'name',
+    expected: 'name',
+    actual: 'username'
+  })
+
+  // Untitled fields are not validated
+  t.deepEqual(
+    parse(text, { fields: [{ width: 12 }, { title: 'age', width: 3 }], titles: 'validate' }),
+    [['alice', '024'], ['bob', '030']]
+  )
+
+  const items = parse('name  name  \nalice bob   \n', {
+    fields: [{ width: 6 }, { width: 6 }],
+    titles: 'infer',
+    onError: 'collect'
+  })
+  t.deepEqual(items, [['alice', 'bob']])
+  t.like(items.rejected, [{ code: 'UNEXPECTED_HEADER', line: 1 }])
+
+  // Empty titles keep the field's property
+  t.deepEqual(
+    parse('      b\nalice 1\n', {
+      fields: [{ width: 6 }, { width: 1 }],
+      titles: 'infer'
+    }),
+    [{ 0: 'alice', b: '1' }]
+  )
+
+  // Title row followed by a header record
+  const options = {
+    eol: '\n',
+    fields,
+    titles: 'validate',
+    header: {
+      fields: [{ property: 'count', type: 'integer', width: 3 }],
+      count: 'count'
+    }
+  }
+  const controlled = 'username    age\n002\nalice       024\nbob         030\n'
+  t.deepEqual(parse(controlled, options), [{ count: 2 }, ...users])
+
+  const parser = new Parser(options)
+  const head = Array.from(parser.write(controlled.substring(0, 30)))
+  const checkpoint = parser.checkpoint()
+  t.like(checkpoint, {
+    header: { line: 2, text: '002' },
+    titles: { line: 1, text: 'username    age' }
+  })
+  const resumed = Parser.resume(checkpoint, options)
+  t.deepEqual(
+    [...head, ...resumed.write(controlled.substring(checkpoint.byteOffset)), ...resumed.end()],
+    [{ count: 2 }, ...users]
+  )
+})
+
+test('lossless records', t => {
+  const options = {
+    eol: '\r\n',
+    lossless: true,
+    fields: [
+      { property: 'name', width: 5 },
+      { property: 'age', type: 'integer', column: 8, width: 2 }
+    ]
+  }
+
+  const parser = new Parser(options)
+  const records = [
+    ...parser.write('Renè |x42\r\n\r\nLuca '),
+    ...parser.write('  18\r\nAnna !! 7'),
+    ...parser.end()
+  ]
+  t.deepEqual(records, [
+    {
+      line: 1,
+      value: { name: 'Renè', age: 42 },
+      text: 'Renè |x42',
+      offset: 0,
+      byteOffset: 0,
+      length: 9,
+      byteLength: 10
+    },
+    {
+      line: 3,
+      value: { name: 'Luca', age: 18 },
+      text: 'Luca   18',
+      offset: 13,
+      byteOffset: 14,
+      length: 9,
+      byteLength: 9
+    },
+    {
+      line: 4,
+      value: { name: 'Anna', age: 7 },
+      text: 'Anna !! 7',
+      offset: 24,
+      byteOffset: 25,
+      length: 9,
+      byteLength: 9
+    }
+  ])
+
+  const bytes = parse(Buffer.from('Renè |x42\nLuca    18'), {
+    ...options,
+    eol: '\n',
+    unit: 'byte',
+    fields: [
+      { property: 'name', width: 6 },
+      { property: 'age', type: 'integer', column: 9, width: 2 }
+    ]
+  })
+  t.like(bytes, [
+    { line: 1, text: 'Renè |x42', offset: 0, byteOffset: 0, length: 9, byteLength: 10 },
+    { line: 2, text: 'Luca    18', offset: 10, byteOffset: 11, length: 10, byteLength: 10 }
+  ])
+
+  t.throws(() => parseOptions({ ...options, eol: /\n/ }), { message: /string end of line/ })
+})
+
+test('nested properties and repeated fields', t => {
+  const options = {
+    eol: '\n',
+    fields: [
+      { property: 'id', width: 3 },
+      { property: 'address.city', width: 6 },
+      { property: ['address', 'zip'], width: 5 },
+      { property: 'amounts', type: 'integer', align: 'right', width: 3, occurs: 3 },
+      {
+        property: 'lines',
+        occurs: 2,
+        fields: [
+          { property: 'sku', width: 2 },
+          { property: 'qty', type: 'integer', column: 4, width: 2 }
+        ]
+      }
+    ]
+  }
+
+  t.like(parseOptions(options).fields, [
+    { property: 'id', path: null },
+    { property: 'address.city', path: ['address', 'city'], column: 4 },
+    { property: 'address.zip', path: ['address', 'zip'], column: 10 },
+    { property: 'amounts.0', path: ['amounts', 0], column: 15 },
+    { property: 'amounts.1', column: 18 },
+    { property: 'amounts.2', column: 21 },
+    { property: 'lines.0.sku', path: ['lines', 0, 'sku'], column: 24 },
+    { property: 'lines.0.qty', column: 27 },
+    { property: 'lines.1.sku', column: 29 },
+    { property: 'lines.1.qty', path: ['lines', 1, 'qty'], column: 32, width: 2 }
+  ])
+
+  t.deepEqual(parse('A01Milan 20100  1  2  3X1 10Y2 20', options), [
+    {
+      id: 'A01',
+      address: { city: 'Milan', zip: '20100' },
+      amounts: [1, 2, 3],
+      lines: [{ sku: 'X1', qty: 10 }, { sku: 'Y2', qty: 20 }]
+    }
+  ])
+
+  t.deepEqual(
+    parse('A01Milan', {
+      fields: [
+        { property: 'id', width: 3 },
+        { property: 'address', fields: [{ property: 'city', width: 5 }] }
+      ]
+    }),
+    [{ id: 'A01', address: { city: 'Milan' } }]
+  )
+
+  // Plain properties with dots
+  const plain = parseOptions({ fields: [{ property: ['acct.no'], width: 3 }] })
+  t.like(plain.fields[0], { path: null, property: 'acct.no' })
+  t.deepEqual(parse('A01', plain), [{ 'acct.no': 'A01' }])
+
+  t.throws(() => parseOptions({ fields: [{ width: 2, occurs: 2 }] }), {
+    message: /require a property/
+  })
+  t.throws(() => parseOptions({ fields: [{ property: 'a', width: 2, occurs: 0 }] }), {
+    message: /occurs must be a positive integer/
+  })
+  t.throws(() => parseOptions({ fields: [{ property: 'a', occurs: 2, fields: [] }] }), {
+    message: /width must be a positive integer/
+  })
+})
+
+test('fillers and rest content', t => {
+  const options = {
+    eol: '\n',
+    rest: true,
+    validateFillers: true,
+    fields: [
+      { property: 'id', width: 3 },
+      { filler: '-', width: 2 },
+      { property: 'name', column: 7, width: 4 }
+    ]
+  }
+
+  t.deepEqual(parseOptions(options).gaps, [
+    { column: 4, pad: '-', width: 2 },
+    { column: 6, pad: ' ', width: 1 }
+  ])
+
+  t.deepEqual(parse('A01-- Anna\nB02-- Luca extra\nC03', { ...options, allowShorterLines: true }), [
+    { id: 'A01', name: 'Anna', $rest: '-- ' },
+    { id: 'B02', name: 'Luca', $rest: '--  extra' },
+    { id: 'C03', name: '', $rest: '-- ' }
+  ])
+
+  t.throws(() => parse('A01-x Anna', options), {
+    code: 'UNEXPECTED_FILLER',
+    message: 'Unexpected filler on position 1:4',
+    instanceOf: FixedWidthError
+  })
+  t.notThrows(() => parse('A01-x Anna', { ...options, validateFillers: false }))
+
+  const bytes = { ...options, unit: 'byte' }
+  t.deepEqual(parse(Buffer.from('A01-- Annaè'), bytes), [
+    { id: 'A01', name: 'Anna', $rest: '-- è' }
+  ])
+  t.throws(() => parse(Buffer.from('A01--èAnna'), bytes), {
+    code: 'UNEXPECTED_FILLER'
+  })
+
+  const records = parseOptions({
+    discriminator: { width: 1 },
+    records: {
+      A: [{ property: 'id', column: 3, width: 2 }]
+    }
+  })
+  t.deepEqual(records.records.get('A').gaps, [{ column: 2, pad: ' ', width: 1 }])
+
+  t.throws(() => parseOptions({ fields: [{ filler: true, width: 2 }] }), {
+    message: /At least one field/
+  })
+  t.throws(() => parseOptions({ fields: [{ width: 2 }, { filler: 'xx', width: 2 }] }), {
+    message: /single char/
+  })
+  t.throws(() => parseOptions({ fields: [{ width: 2 }, { filler: 1, width: 2 }] }), {
+    instanceOf: TypeError
+  })
+  t.throws(() => parseOptions({ fields: [{ width: 2 }, { filler: true, width: 2, occurs: 2 }] }), {
+    message: /cannot be repeated/
+  })
+  t.throws(() => parseOptions({ rest: true, fields: [{ width: 2 }] }), {
+    message: /requires target properties/
+  })
+})
+
+test('field views', t => {
+  const options = {
+    eol: '\n',
+    fields: [
+      { property: 'kind', width: 1 },
+      { property: 'date', type: 'date', format: 'YYYYMMDD', width: 8 },
+      { property: 'year', type: 'integer', redefines: 'date', width: 4 },
+      { property: 'region', width: 5 },
+      {
+        property: 'amount',
+        type: 'integer',
+        redefines: 'region',
+        when: record => record.kind === 'P'
+      },
+      {
+        property: 'code',
+        redefines: 'region',
+        column: 11,
+        width: 3,
+        when: record => record.kind === 'C'
+      },
+      { property: 'flag', width: 1 }
+    ]
+  }
+
+  t.like(parseOptions(options), {
+    width: 15,
+    fields: [
+      { property: 'kind', redefines: null },
+      { property: 'date', column: 2 },
+      { property: 'year', column: 2, width: 4, redefines: 'date' },
+      { property: 'region', column: 10 },
+      { property: 'amount', column: 10, width: 5, redefines: 'region' },
+      { property: 'code', column: 11, width: 3, redefines: 'region' },
+      { property: 'flag', column: 15 }
+    ]
+  })
+
+  t.deepEqual(parse('P2024013100120Y\nC20230101 ABC N', options), [
+    {
+      kind: 'P',
+      date: new Date('2024-01-31'),
+      year: 2024,
+      region: '00120',
+      amount: 120,
+      flag: 'Y'
+    },
+    {
+      kind: 'C',
+      date: new Date('2023-01-01'),
+      year: 2023,
+      region: 'ABC',
+      code: 'ABC',
+      flag: 'N'
+    }
+  ])
+
+  t.like(
+    parse('A01002', {
+      fields: [
+        {
+          property: 'line',
+          fields: [
+            { property: 'code', width: 3 },
+            { property: 'letter', redefines: 'code', width: 1 },
+            { property: 'qty', type: 'integer', width: 3 }
+          ]
+        }
+      ]
+    }),
+    [{ line: { code: 'A01', letter: 'A', qty: 2 } }]
+  )
+
+  // Views have no title
+  const fields = [
+    { property: 'id', width: 3 },
+    { property: 'letter', redefines: 'id', width: 1 },
+    { property: 'qty', type: 'integer', width: 3 }
+  ]
+  const item = { id: 'A01', letter: 'A', qty: 2 }
+  t.deepEqual(parse('id qty\nA01002', { fields, titles: true }), [item])
+  t.deepEqual(parse('id qty\nA01002', { fields, titles: 'validate' }), [item])
+  t.deepEqual(
+    parse('refqty\nA01002', { fields, titles: 'infer' }),
+    [{ ref: 'A01', letter: 'A', qty: 2 }]
+  )
+
+  t.throws(() => parseOptions({ fields: [{ property: 'a', width: 2, redefines: 'b' }] }), {
+    message: 'Unknown redefined field: b'
+  })
+  t.throws(() => parseOptions({ fields: [{ property: 'a', width: 2 }, { property: 'b', width: 2, redefines: 1 }] }), {
+    instanceOf: TypeError
+  })
+  t.throws(() => parseOptions({ fields: [{ property: 'a', width: 2 }, { property: 'b', width: 3, redefines: 'a' }] }), {
+    message: 'Field b exceeds its redefined field'
+  })
+  t.throws(() => parseOptions({ fields: [{ property: 'a', width: 2 }, { property: 'b', width: 1, occurs: 2, redefines: 'a' }] }), {
+    message: /cannot be repeated/
+  })
+  t.throws(() => parseOptions({ fields: [{ property: 'a', width: 2, when: () => true }] }), {
+    message: /must redefine another field/
+  })
+  t.throws(() => parseOptions({ fields: [{ property: 'a', width: 2 }, { property: 'b', width: 1, redefines: 'a', when: true }] }), {
+    instanceOf: TypeError
+  })
+})
+
+test('checkpoint and resume', t => {
+  const options = {
+    eol: '\n',
+    fields: [
+      { property: 'name', width: 3 },
+      { property: 'value', type: 'integer', width: 2 }
+    ],
+    header: {
+      fields: [{ property: 'count', type: 'integer', width: 5 }],
+      count: 'count'
+    },
+    trailer: {
+      fields: [{ property: 'end', width: 5 }]
+    }
+  }
+
+  const text = '00003\nabc01\nèfg02\n\nhij03\nEND  \n'
+
+  for (const unit of ['char', 'byte']) {
+    const bytes = Buffer.from(unit === 'byte' ? text.replace('èfg', 'èf') : text)
+    const expected = parse(bytes, { ...options, unit })
+    t.is(expected.length, 5)
+
+    for (let i = 0; i <= bytes.length; i++) {
+      const parser = new Parser({ ...options, unit })
+      const items = Array.from(parser.write(bytes.subarray(0, i)))
+
+      const checkpoint = JSON.parse(JSON.stringify(parser.checkpoint()))
+      const resumed = Parser.resume(checkpoint, { ...options, unit })
+      items.push(...resumed.write(bytes.subarray(checkpoint.byteOffset)))
+      items.push(...resumed.end())
+
+      t.deepEqual(items, expected)
+    }
+  }
+
+  const parser = new Parser(options)
+  Array.from(parser.write('00003\nabc01\nèfg02\n\nhi'))
+  t.deepEqual(parser.checkpoint(), {
+    aggregates: { count: 1, sums: { value: 1 } },
+    byteOffset: 22,
+    eol: '\n',
+    header: { line: 1, text: '00003' },
+    line: 3,
+    offset: 0,
+    started: true,
+    text: 'èfg02\n\nhi',
+    titles: null
+  })
+
+  const bytes = new Parser({ ...options, unit: 'byte', fields: [{ property: 'name', width: 5 }] })
+  Array.from(bytes.write('00003\nabc01\nèf02\n\nhi'))
+  t.like(bytes.checkpoint(), { byteOffset: 12, line: 3, text: '' })
+
+  const titles = new Parser({ titles: 'infer', eol: '\n', fields: [{ width: 3 }, { width: 2 }] })
+  Array.from(titles.write('ab x\nabc01\ndef'))
+  t.deepEqual(
+    Array.from(Parser.resume(titles.checkpoint(), { titles: 'infer', fields: [{ width: 3 }, { width: 2 }] }).write('02\n')),
+    [{ ab: 'def', x: '02' }]
+  )
+
+  t.throws(() => new Parser({ ...options, to: -1 }).checkpoint(), { message: /tail-relative/ })
+  t.throws(() => Parser.resume({ line: 1, text: '' }, options), { message: 'Invalid checkpoint' })
+})
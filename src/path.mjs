@@ -0,0 +1,61 @@
+/**
+ * Parses a nested property path (dotted string or array of keys). Numeric
+ * keys are array indexes. Returns `null` for plain properties.
+ */
+export function parsePath (value) {
+  if (Array.isArray(value)) {
+    if (
+      value.length <= 0 ||
+      !value.every(key => typeof key === 'string' || isIndex(key))
+    ) {
+      throw new TypeError('Property path must contain strings or indexes')
+    }
+    return value.length > 1 ? value.slice() : null
+  }
+  if (typeof value !== 'string' || !value.includes('.')) {
+    return null
+  }
+  return value.split('.').map(key => /^\d+$/.test(key) ? parseInt(key, 10) : key)
+}
+
+function isIndex (value) {
+  return Number.isInteger(value) && value >= 0
+}
+
+/**
+ * Reads the value of a field (nested path or plain property).
+ */
+export function getValue (obj, field) {
+  if (!field.path) {
+    return obj[field.property]
+  }
+  let value = obj
+  for (const key of field.path) {
+    if (value === undefined || value === null) {
+      return undefined
+    }
+    value = value[key]
+  }
+  return value
+}
+
+/**
+ * Writes the value of a field, creating the missing objects (or arrays) of
+ * its path.
+ */
+export function setValue (obj, field, value) {
+  if (!field.path) {
+    obj[field.property] = value
+    return obj
+  }
+  const { path } = field
+  let target = obj
+  for (let i = 0; i < path.length - 1; i++) {
+    if (typeof target[path[i]] !== 'object' || target[path[i]] === null) {
+      target[path[i]] = typeof path[i + 1] === 'number' ? [] : {}
+    }
+    target = target[path[i]]
+  }
+  target[path[path.length - 1]] = value
+  return obj
+}
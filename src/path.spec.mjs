@@ -0,0 +1,25 @@
+import test from 'ava'
+
+import { getValue, parsePath, setValue } from './path.mjs'
+
+test('parsePath', t => {
+  t.is(parsePath('name'), null)
+  t.is(parsePath(['name']), null)
+  t.is(parsePath(42), null)
+  t.deepEqual(parsePath('address.city'), ['address', 'city'])
+  t.deepEqual(parsePath('amounts.0'), ['amounts', 0])
+  t.deepEqual(parsePath(['lines', 1, 'sku']), ['lines', 1, 'sku'])
+  t.throws(() => parsePath([]), { instanceOf: TypeError })
+  t.throws(() => parsePath(['a', -1]), { instanceOf: TypeError })
+})
+
+test('getValue and setValue', t => {
+  const name = { path: null, property: 'name' }
+  const sku = { path: ['lines', 1, 'sku'], property: 'lines.1.sku' }
+
+  const obj = setValue(setValue({}, name, 'Alice'), sku, 'X1')
+  t.deepEqual(obj, { name: 'Alice', lines: [undefined, { sku: 'X1' }] })
+  t.is(getValue(obj, name), 'Alice')
+  t.is(getValue(obj, sku), 'X1')
+  t.is(getValue({ lines: null }, sku), undefined)
+})
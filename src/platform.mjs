@@ -0,0 +1,49 @@
+import { EOL } from 'node:os'
+import { Transform } from 'node:stream'
+import { StringDecoder } from 'node:string_decoder'
+
+/**
+ * Node.js runtime bindings. The web build replaces this module with
+ * platform.web.mjs (see rollup.config.js).
+ */
+export { EOL, Transform }
+
+export function allocBytes (size, fill = 0) {
+  return Buffer.alloc(size, fill)
+}
+
+export function concatBytes (chunks) {
+  return Buffer.concat(chunks)
+}
+
+export function indexOfBytes (data, search, start = 0) {
+  return data.indexOf(search, start)
+}
+
+export function isBytes (value) {
+  return value instanceof Uint8Array
+}
+
+/**
+ * Wraps any Uint8Array (without copying) into a Buffer.
+ */
+export function toBytes (value) {
+  return Buffer.isBuffer(value)
+    ? value
+    : Buffer.from(value.buffer, value.byteOffset, value.byteLength)
+}
+
+/**
+ * Returns the codec of a runtime-supported encoding, or null.
+ */
+export function getNativeCodec (encoding) {
+  if (!Buffer.isEncoding(encoding)) {
+    return null
+  }
+  return {
+    byteLength: text => Buffer.byteLength(text, encoding),
+    decode: bytes => toBytes(bytes).toString(encoding),
+    decoder: () => new StringDecoder(encoding),
+    encode: text => Buffer.from(text, encoding)
+  }
+}
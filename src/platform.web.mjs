@@ -0,0 +1,71 @@
+/**
+ * Web runtime bindings (browsers, Deno, Bun, edge runtimes). Bytes are plain
+ * Uint8Array instances, and UTF-8 is the only native encoding.
+ */
+export const EOL = '\n'
+
+export class Transform {
+  constructor () {
+    throw new Error('Node.js streams are not supported, use webStream() instead')
+  }
+}
+
+export function allocBytes (size, fill = 0) {
+  return new Uint8Array(size).fill(fill)
+}
+
+export function concatBytes (chunks) {
+  const bytes = new Uint8Array(
+    chunks.reduce((acc, chunk) => acc + chunk.length, 0)
+  )
+  let offset = 0
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset)
+    offset += chunk.length
+  }
+  return bytes
+}
+
+export function indexOfBytes (data, search, start = 0) {
+  for (let i = start; i <= data.length - search.length; i++) {
+    let j = 0
+    while (j < search.length && data[i + j] === search[j]) {
+      j++
+    }
+    if (j >= search.length) {
+      return i
+    }
+  }
+  return -1
+}
+
+export function isBytes (value) {
+  return value instanceof Uint8Array
+}
+
+export function toBytes (value) {
+  return value
+}
+
+export function getNativeCodec (encoding) {
+  const name = String(encoding).toLowerCase()
+  if (name !== 'utf8' && name !== 'utf-8') {
+    return null
+  }
+
+  const encoder = new TextEncoder()
+  const decoder = new TextDecoder()
+
+  return {
+    byteLength: text => encoder.encode(text).length,
+    decode: bytes => decoder.decode(bytes),
+    decoder: () => {
+      const stream = new TextDecoder()
+      return {
+        write: bytes => stream.decode(bytes, { stream: true }),
+        end: () => stream.decode()
+      }
+    },
+    encode: text => encoder.encode(text)
+  }
+}
@@ -0,0 +1,46 @@
+import test from 'ava'
+
+import {
+  Transform,
+  allocBytes,
+  concatBytes,
+  getNativeCodec,
+  indexOfBytes,
+  isBytes,
+  toBytes
+} from './platform.web.mjs'
+
+test('bytes', t => {
+  const bytes = concatBytes([new Uint8Array([1, 2]), allocBytes(2, 3), allocBytes(1)])
+  t.false(Buffer.isBuffer(bytes))
+  t.deepEqual(Array.from(bytes), [1, 2, 3, 3, 0])
+  t.true(isBytes(bytes))
+  t.false(isBytes('bytes'))
+  t.is(toBytes(bytes), bytes)
+
+  const data = new Uint8Array([13, 10, 65, 13, 13, 10])
+  const eol = new Uint8Array([13, 10])
+  t.is(indexOfBytes(data, eol), 0)
+  t.is(indexOfBytes(data, eol, 1), 4)
+  t.is(indexOfBytes(data, eol, 5), -1)
+})
+
+test('native codec', t => {
+  t.is(getNativeCodec('latin1'), null)
+
+  const codec = getNativeCodec('UTF-8')
+  const bytes = codec.encode('àè')
+  t.false(Buffer.isBuffer(bytes))
+  t.is(bytes.length, 4)
+  t.is(codec.byteLength('àè'), 4)
+  t.is(codec.decode(bytes), 'àè')
+
+  const decoder = codec.decoder()
+  t.is(decoder.write(bytes.subarray(0, 3)), 'à')
+  t.is(decoder.write(bytes.subarray(3)), 'è')
+  t.is(decoder.end(), '')
+})
+
+test('node streams', t => {
+  t.throws(() => new Transform(), { message: /webStream/ })
+})
@@ -0,0 +1,125 @@
+import { FixedWidthError } from './error.mjs'
+
+/**
+ * Normalizes the validation rules of a field definition. Returns `null` when
+ * no rules are declared.
+ */
+export function parseRules (field) {
+  const rules = {}
+
+  if (field.required !== undefined) {
+    if (typeof field.required !== 'boolean') {
+      throw new TypeError('Field required option must be a boolean')
+    }
+    if (field.required) {
+      rules.required = true
+    }
+  }
+
+  if (field.pattern !== undefined) {
+    if (!(field.pattern instanceof RegExp)) {
+      throw new TypeError('Field pattern must be a RegExp')
+    }
+    // Stateless copy (global and sticky regexps keep the last index)
+    rules.pattern = new RegExp(
+      field.pattern.source,
+      field.pattern.flags.replace(/[gy]/g, '')
+    )
+  }
+
+  if (field.min !== undefined && field.min !== null) {
+    rules.min = field.min
+  }
+  if (field.max !== undefined && field.max !== null) {
+    rules.max = field.max
+  }
+
+  if (field.oneOf !== undefined) {
+    if (!Array.isArray(field.oneOf)) {
+      throw new TypeError('Field oneOf option must be an array')
+    }
+    rules.oneOf = field.oneOf
+  }
+
+  if (field.validate !== undefined) {
+    if (typeof field.validate !== 'function') {
+      throw new TypeError('Field validate option must be a function')
+    }
+    rules.validate = field.validate
+  }
+
+  return Object.keys(rules).length > 0 ? rules : null
+}
+
+/**
+ * Applies the field's rules. The pattern is tested against the text, other
+ * rules against the (parsed) value. Empty values are only checked by the
+ * required rule.
+ */
+export function validateField (value, text, field, line) {
+  const { rules } = field
+  if (!rules) {
+    return value
+  }
+
+  if (isEmpty(value)) {
+    if (rules.required) {
+      throw invalidFieldValue('required', value, field, line)
+    }
+    return value
+  }
+
+  if (rules.pattern && typeof text === 'string' && !rules.pattern.test(text)) {
+    throw invalidFieldValue('pattern', value, field, line)
+  }
+  if (rules.min !== undefined && value < rules.min) {
+    throw invalidFieldValue('min', value, field, line)
+  }
+  if (rules.max !== undefined && value > rules.max) {
+    throw invalidFieldValue('max', value, field, line)
+  }
+  if (rules.oneOf && !rules.oneOf.includes(value)) {
+    throw invalidFieldValue('oneOf', value, field, line)
+  }
+
+  if (rules.validate) {
+    let result
+    try {
+      result = rules.validate(value, {
+        column: field.column,
+        line,
+        width: field.width
+      })
+    } catch (err) {
+      if (err instanceof FixedWidthError) {
+        throw err
+      }
+      throw invalidFieldValue('validate', value, field, line, err.message, err)
+    }
+    if (result === false || typeof result === 'string') {
+      throw invalidFieldValue('validate', value, field, line, result)
+    }
+  }
+
+  return value
+}
+
+function isEmpty (value) {
+  return value === undefined || value === null || value === ''
+}
+
+function invalidFieldValue (rule, value, field, line, reason, cause) {
+  const message = `Invalid value on position ${line}:${field.column} (${rule})`
+  return new FixedWidthError(
+    'INVALID_FIELD_VALUE',
+    typeof reason === 'string' ? `${message}: ${reason}` : message,
+    {
+      ...(cause ? { cause } : {}),
+      line,
+      column: field.column,
+      property: field.property,
+      rule,
+      value
+    }
+  )
+}
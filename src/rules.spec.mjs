@@ -0,0 +1,91 @@
+import test from 'ava'
+
+import { parseOptions } from './options.mjs'
+import { parse } from './parse.mjs'
+import { stringify } from './stringify.mjs'
+
+const options = {
+  allowShorterLines: true,
+  eol: '\n',
+  fields: [
+    { property: 'code', width: 4, required: true, pattern: /^[A-Z]\d+$/g },
+    { property: 'qty', type: 'integer', align: 'right', width: 3, min: 1, max: 100 },
+    { property: 'unit', width: 2, oneOf: ['PZ', 'KG'] },
+    {
+      property: 'note',
+      width: 6,
+      validate: value => value !== 'nope' || 'note is not allowed'
+    }
+  ]
+}
+
+test('parse with rules', t => {
+  t.deepEqual(parse('A001  5PZhello\nB02 100KG\n', options), [
+    { code: 'A001', qty: 5, unit: 'PZ', note: 'hello' },
+    { code: 'B02', qty: 100, unit: 'KG', note: '' }
+  ])
+})
+
+test('parse rule violations', t => {
+  const cases = [
+    ['      5PZ', 'required', 'code', 1, ''],
+    ['a01   5PZ', 'pattern', 'code', 1, 'a01'],
+    ['A01   0PZ', 'min', 'qty', 5, 0],
+    ['A01 101PZ', 'max', 'qty', 5, 101],
+    ['A01   5LT', 'oneOf', 'unit', 8, 'LT'],
+    ['A01   5PZnope', 'validate', 'note', 10, 'nope']
+  ]
+  for (const [text, rule, property, column, value] of cases) {
+    const error = t.throws(() => parse(text + '\n', options), {
+      code: 'INVALID_FIELD_VALUE'
+    })
+    t.like(error, { line: 1, column, property, rule, value })
+  }
+
+  t.throws(() => parse('A01   5PZnope', options), {
+    message: 'Invalid value on position 1:10 (validate): note is not allowed'
+  })
+
+  const items = parse('A01   5PZ\nA01 999PZ\n', { ...options, onError: 'collect' })
+  t.is(items.length, 1)
+  t.like(items.rejected, [{ code: 'INVALID_FIELD_VALUE', line: 2 }])
+})
+
+test('stringify with rules', t => {
+  t.is(
+    stringify([{ code: 'A1', qty: 1, unit: 'KG' }], options),
+    'A1    1KG      \n'
+  )
+
+  t.like(
+    t.throws(() => stringify([{ qty: 1 }], options), { code: 'INVALID_FIELD_VALUE' }),
+    { line: 1, column: 1, property: 'code', rule: 'required', value: undefined }
+  )
+  t.like(
+    t.throws(() => stringify([{ code: 'A1', qty: 1, note: 'nope' }], options)),
+    { rule: 'validate', property: 'note', value: 'nope' }
+  )
+  t.like(
+    t.throws(() => stringify([{ code: 'A1', qty: 1 }, { code: 'A1', qty: 0 }], options)),
+    { line: 2, rule: 'min', property: 'qty', value: 0 }
+  )
+
+  // The pattern is tested against the serialized text
+  t.like(
+    t.throws(() => stringify([{ code: 'A1', qty: 1 }], {
+      fields: [
+        { property: 'code', width: 4 },
+        { property: 'qty', width: 3, stringify: value => `x${value}`, pattern: /^\d+$/ }
+      ]
+    })),
+    { rule: 'pattern', property: 'qty', value: 1 }
+  )
+})
+
+test('rules validation', t => {
+  t.is(parseOptions([{ width: 1, required: false }]).fields[0].rules, null)
+  t.throws(() => parseOptions([{ width: 1, required: 'yes' }]), { instanceOf: TypeError })
+  t.throws(() => parseOptions([{ width: 1, pattern: '^a' }]), { instanceOf: TypeError })
+  t.throws(() => parseOptions([{ width: 1, oneOf: 'a' }]), { instanceOf: TypeError })
+  t.throws(() => parseOptions([{ width: 1, validate: true }]), { instanceOf: TypeError })
+})
@@ -1,21 +1,49 @@
-import os from 'node:os'
-import { Transform } from 'node:stream'
-
+import {
+  createAggregates,
+  getControlValues,
+  updateAggregates
+} from './aggregates.mjs'
+import { getCodec } from './codec.mjs'
 import { FixedWidthError } from './error.mjs'
-import { isAsyncIterable, isIterable, parseOptions } from './options.mjs'
+import { flattenGroup } from './group.mjs'
+import {
+  getControlOptions,
+  isAsyncIterable,
+  isIterable,
+  parseOptions
+} from './options.mjs'
+import { parseFields } from './parse.mjs'
+import { getValue } from './path.mjs'
+import {
+  EOL,
+  Transform,
+  allocBytes,
+  concatBytes,
+  isBytes
+} from './platform.mjs'
+import { validateField } from './rules.mjs'
 
 export class Stringifier {
   static stream (options) {
     const stringifier = new Stringifier(options)
 
-    return new Transform({
+    // Warnings are also emitted as stream events
+    const { onWarning } = stringifier.options
+    stringifier.options.onWarning = warning => {
+      if (onWarning) {
+        onWarning(warning)
+      }
+      transform.emit('warning', warning)
+    }
+
+    const transform = new Transform({
       allowHalfOpen: false,
       readableObjectMode: false,
       writableObjectMode: true,
       transform (chunk, encoding, callback) {
         let reason = null
         try {
-          this.push(stringifier.write(chunk))
+          this.push(encodeChunk(stringifier.write(chunk), stringifier.options))
         } catch (err) {
           reason = err
         }
@@ -24,46 +52,210 @@ export class Stringifier {
       flush (callback) {
         let reason = null
         try {
-          this.push(stringifier.end())
+          this.push(encodeChunk(stringifier.end(), stringifier.options))
         } catch (err) {
           reason = err
         }
         callback(reason)
       }
     })
+    return transform
+  }
+
+  /**
+   * WHATWG TransformStream version of the stringifier (browsers, Deno, Bun).
+   */
+  static webStream (options) {
+    const stringifier = new Stringifier(options)
+
+    return new TransformStream({
+      transform (chunk, controller) {
+        controller.enqueue(
+          encodeChunk(stringifier.write(chunk), stringifier.options)
+        )
+      },
+      flush (controller) {
+        const tail = encodeChunk(stringifier.end(), stringifier.options)
+        if (tail.length) {
+          controller.enqueue(tail)
+        }
+      }
+    })
   }
 
   constructor (options) {
     this.options = parseOptions(options)
-    if (!this.options.eol) {
-      this.options = { ...this.options, eol: os.EOL }
+    if (this.options.eol === null) {
+      this.options = { ...this.options, eol: EOL }
     }
+    this.aggregates = createAggregates()
     this.line = 1
+    this.trailed = false
   }
 
   end () {
+    const chunks = []
+    const first = this.line <= 1
+    if (first && this.options.titles) {
+      chunks.push(this.writeTitles())
+    }
+    if (first && this.options.header) {
+      chunks.push(this.writeControlRecord(this.options.header))
+    }
+    // Lossless trailer records replace the generated one
+    if (this.options.trailer && !this.trailed) {
+      chunks.push(this.writeControlRecord(this.options.trailer))
+    }
+
+    // Reset internal status
+    this.aggregates = createAggregates()
     this.line = 1
-    return ''
+    this.trailed = false
+
+    return this.join(chunks)
   }
 
   write (obj) {
-    let text = ''
-    if (!this.options.eof && this.line > 1) {
-      text += this.options.eol
+    const { discriminator, groups } = this.options
+
+    // Record trees are written as flat records
+    const records = groups
+      ? flattenGroup(obj, groups, discriminator, this.line)
+      : [obj]
+
+    const chunks = []
+    const first = this.line <= 1
+    if (first && this.options.titles) {
+      chunks.push(this.writeTitles())
+    }
+    if (
+      first &&
+      this.options.header &&
+      getLosslessControl(records[0], this.options) !== this.options.header
+    ) {
+      chunks.push(this.writeControlRecord(this.options.header))
     }
-    text += stringifyFields(obj, this.options, this.line++)
-    if (this.options.eof) {
-      text += this.options.eol
+
+    for (const record of records) {
+      const control = getLosslessControl(record, this.options)
+      if (control) {
+        chunks.push(this.writeLosslessControl(record, control))
+        continue
+      }
+
+      // Lossless records wrap the parsed value
+      const value = this.options.lossless ? Object(record).value : record
+      const layout = selectLayout(Object(value), this.options, this.line)
+      chunks.push(this.writeLine(record, this.options))
+      updateAggregates(this.aggregates, Object(value), layout.fields)
+    }
+
+    return this.join(chunks)
+  }
+
+  /**
+   * Writes a header or trailer record. Its value could depend on the
+   * running aggregates (count and sums of detail records).
+   */
+  writeControlRecord (control) {
+    const value = typeof control.value === 'function'
+      ? control.value(this.aggregates)
+      : control.value
+    const obj = {
+      ...Object(value),
+      ...getControlValues(control, this.aggregates)
+    }
+    return this.writeLine(
+      obj,
+      { ...getControlOptions(this.options, control), lossless: false }
+    )
+  }
+
+  /**
+   * Writes a lossless header or trailer record. Trailer values are updated
+   * with the running aggregates, while headers are written before any detail
+   * record and keep their values.
+   */
+  writeLosslessControl (record, control) {
+    const obj = control === this.options.trailer
+      ? {
+          ...record,
+          value: {
+            ...Object(record.value),
+            ...getControlValues(control, this.aggregates)
+          }
+        }
+      : record
+    if (control === this.options.trailer) {
+      this.trailed = true
+    }
+    return this.writeLine(obj, getControlOptions(this.options, control))
+  }
+
+  /**
+   * Writes the title row (see titles option).
+   */
+  writeTitles () {
+    // Views (redefines option) have no column of their own
+    const fields = this.options.fields.filter(field => !field.redefines)
+    return this.writeLine(
+      fields.map(field => field.title),
+      {
+        ...this.options,
+        fields: fields.map((field, index) => ({
+          ...field,
+          overflow: 'truncate',
+          pad: ' ',
+          path: null,
+          property: index,
+          rules: null,
+          stringify: null
+        })),
+        lossless: false,
+        onWarning: null,
+        output: 'array'
+      }
+    )
+  }
+
+  writeLine (obj, options) {
+    const head = !options.eof && this.line > 1 ? options.eol : ''
+    const body = options.lossless && obj !== null && typeof obj === 'object'
+      ? stringifyLossless(obj, options, this.line++)
+      : stringifyFields(obj, options, this.line++)
+    const tail = options.eof ? options.eol : ''
+
+    if (options.unit === 'byte') {
+      const codec = getCodec(options.encoding)
+      return concatBytes([codec.encode(head), body, codec.encode(tail)])
     }
-    return text
+    return head + body + tail
+  }
+
+  join (chunks) {
+    return this.options.unit === 'byte'
+      ? concatBytes(chunks)
+      : chunks.join('')
   }
 }
 
+/**
+ * Stream output is always encoded with the configured encoding.
+ */
+function encodeChunk (data, options) {
+  return typeof data === 'string'
+    ? getCodec(options.encoding).encode(data)
+    : data
+}
+
 export function stringify (input, options) {
   const stringifier = new Stringifier(options)
 
   if (Array.isArray(input)) {
-    return Array.from(stringifyIterable(input, stringifier)).join('')
+    const chunks = Array.from(stringifyIterable(input, stringifier))
+    return stringifier.options.unit === 'byte'
+      ? concatBytes(chunks)
+      : chunks.join('')
   } else if (isIterable(input)) {
     return stringifyIterable(input, stringifier)
   } else if (isAsyncIterable(input)) {
@@ -78,7 +270,7 @@ function * stringifyIterable (iterable, stringifier) {
     yield stringifier.write(data)
   }
   const tail = stringifier.end()
-  if (tail) {
+  if (tail.length) {
     yield tail
   }
 }
@@ -88,7 +280,7 @@ async function * stringifyAsyncIterable (iterable, stringifier) {
     yield stringifier.write(data)
   }
   const tail = stringifier.end()
-  if (tail) {
+  if (tail.length) {
     yield tail
   }
 }
@@ -96,19 +288,225 @@ async function * stringifyAsyncIterable (iterable, stringifier) {
 export function stringifyFields (obj, options, line = 1) {
   obj = Object(obj)
 
-  let text = ''.padEnd(options.width, options.pad)
+  const layout = selectLayout(obj, options, line)
+
+  if (options.unit === 'byte') {
+    const codec = getCodec(options.encoding)
+    const buffer = fillBytes(layout.width, options.pad, codec)
+
+    if (options.discriminator) {
+      buffer.set(codec.encode(layout.type), options.discriminator.column - 1)
+    }
+
+    for (const field of layout.fields) {
+      if (isWritable(obj, field, layout)) {
+        buffer.set(stringifyField(obj, field, options, line), field.column - 1)
+      }
+    }
+
+    return stringifyGaps(buffer, obj, layout, options)
+  }
 
-  for (const field of options.fields) {
+  let text = ''.padEnd(layout.width, options.pad)
+
+  if (options.discriminator) {
     text = replaceWith(
       text,
-      stringifyField(obj, field, options, line),
-      field.column - 1
+      layout.type.padEnd(options.discriminator.width, options.pad),
+      options.discriminator.column - 1
+    )
+  }
+
+  for (const field of layout.fields) {
+    if (isWritable(obj, field, layout)) {
+      text = replaceWith(
+        text,
+        stringifyField(obj, field, options, line),
+        field.column - 1
+      )
+    }
+  }
+
+  return stringifyGaps(text, obj, layout, options)
+}
+
+/**
+ * Redefined fields win over their views. A view is written only when the
+ * redefined value is undefined (and the view's condition is met).
+ */
+function isWritable (obj, field, layout) {
+  if (!field.redefines) {
+    return true
+  }
+  return getValue(obj, getRedefinedField(field, layout)) === undefined &&
+    getValue(obj, field) !== undefined &&
+    (!field.when || field.when(obj))
+}
+
+function getRedefinedField (view, layout) {
+  return layout.fields.find(
+    field => field.property === view.redefines && !field.redefines
+  )
+}
+
+/**
+ * Fills the gaps with their filler, or with the rest content (see rest
+ * option). The exceeding rest content is appended to the line.
+ */
+function stringifyGaps (data, obj, layout, options) {
+  const rest = options.rest && obj.$rest !== undefined && obj.$rest !== null
+    ? String(obj.$rest)
+    : ''
+
+  if (typeof data === 'string') {
+    let index = 0
+    for (const gap of layout.gaps) {
+      data = replaceWith(
+        data,
+        rest.substring(index, index + gap.width).padEnd(gap.width, gap.pad),
+        gap.column - 1
+      )
+      index += gap.width
+    }
+    return data + rest.substring(index)
+  }
+
+  const codec = getCodec(options.encoding)
+  let bytes = codec.encode(rest)
+  for (const gap of layout.gaps) {
+    const buffer = fillBytes(gap.width, gap.pad, codec)
+    buffer.set(bytes.subarray(0, gap.width))
+    data.set(buffer, gap.column - 1)
+    bytes = bytes.subarray(gap.width)
+  }
+  return bytes.length > 0 ? concatBytes([data, bytes]) : data
+}
+
+/**
+ * Writes only the changed values over the original text of a lossless
+ * record, so unchanged records (and unmapped gaps) are kept as they are.
+ */
+function stringifyLossless (record, options, line) {
+  if (typeof record.text !== 'string') {
+    return stringifyFields(record.value, options, line)
+  }
+
+  const value = Object(record.value)
+  const original = parseFields(
+    record.text,
+    {
+      ...options,
+      allowLongerLines: true,
+      allowShorterLines: true,
+      rest: false,
+      validateFillers: false
+    },
+    line
+  )
+
+  const layout = selectLayout(value, options, line)
+  if (layout !== selectLayout(original, options, line)) {
+    return stringifyFields(value, options, line)
+  }
+
+  const isChanged = field => !isSameValue(
+    getValue(value, field),
+    getValue(original, field)
+  )
+
+  // Changed views are written unless their redefined field is changed too
+  const fields = layout.fields.filter(
+    field => isChanged(field) && (
+      !field.redefines || (
+        !isChanged(getRedefinedField(field, layout)) &&
+        getValue(value, field) !== undefined &&
+        (!field.when || field.when(value))
+      )
     )
+  )
+
+  if (options.unit === 'byte') {
+    const codec = getCodec(options.encoding)
+    let buffer = codec.encode(record.text)
+    for (const field of fields) {
+      const end = field.column - 1 + field.width
+      if (buffer.length < end) {
+        buffer = concatBytes([
+          buffer,
+          fillBytes(end - buffer.length, options.pad, codec)
+        ])
+      }
+      buffer.set(stringifyField(value, field, options, line), field.column - 1)
+    }
+    return buffer
   }
 
+  let text = record.text
+  for (const field of fields) {
+    text = replaceWith(
+      text.padEnd(field.column - 1 + field.width, options.pad),
+      stringifyField(value, field, options, line),
+      field.column - 1
+    )
+  }
   return text
 }
 
+function isSameValue (a, b) {
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime()
+  }
+  if (isBytes(a) && isBytes(b)) {
+    return a.length === b.length && a.every((byte, index) => byte === b[index])
+  }
+  return Object.is(a, b)
+}
+
+function selectLayout (obj, options, line) {
+  if (!options.discriminator) {
+    return options
+  }
+
+  const type = stringifyPrimitiveValue(obj[options.discriminator.property])
+
+  const layout = options.records.get(type)
+  if (!layout) {
+    throw new FixedWidthError(
+      'UNKNOWN_RECORD_TYPE',
+      `Record ${line} has an unknown record type (${type})`,
+      { line, type, value: obj }
+    )
+  }
+  return layout
+}
+
+/**
+ * JS numbers are never truncated silently, even for untyped fields.
+ */
+function getDefaultOverflow (data, options) {
+  return typeof data === 'number' || typeof data === 'bigint'
+    ? 'error'
+    : options.overflow
+}
+
+/**
+ * Returns the header or trailer option of a lossless control record (see
+ * Parser), null for detail records.
+ */
+function getLosslessControl (record, options) {
+  if (!options.lossless || record === null || typeof record !== 'object') {
+    return null
+  }
+  switch (record.control) {
+    case 'header':
+      return options.header
+    case 'trailer':
+      return options.trailer
+    default:
+      return null
+  }
+}
+
 export function replaceWith (text, value, index = 0) {
   const before = text.substring(0, index)
   const after = text.substring(index + value.length)
@@ -116,10 +514,23 @@ export function replaceWith (text, value, index = 0) {
 }
 
 export function stringifyField (obj, field, options, line) {
-  let value = obj[field.property]
+  const data = getValue(obj, field)
+
+  let value = data
   if (field.stringify) {
-    value = field.stringify(value)
+    value = field.stringify(value, {
+      column: field.column,
+      line,
+      width: field.width
+    })
+  }
+
+  // Raw bytes (binary fields)
+  if (options.unit === 'byte' && value instanceof Uint8Array) {
+    validateField(data, null, field, line)
+    return stringifyBytes(value, value, field, options, line)
   }
+
   value = stringifyValue(value, options.encoding)
 
   if (typeof value !== 'string') {
@@ -130,11 +541,19 @@ export function stringifyField (obj, field, options, line) {
     )
   }
 
-  if (value.length > field.width) {
-    throw new FixedWidthError(
-      'FIELD_VALUE_OVERFLOW',
-      `Value on position ${line}:${field.column} overflow its width`,
-      { line, column: field.column, width: field.width, value }
+  validateField(data, value, field, line)
+
+  if (measure(value, options) > field.width) {
+    value = truncateValue(value, data, field, options, line)
+  }
+
+  if (options.unit === 'byte') {
+    return stringifyBytes(
+      getCodec(options.encoding).encode(value),
+      value,
+      field,
+      options,
+      line
     )
   }
 
@@ -147,9 +566,90 @@ export function stringifyField (obj, field, options, line) {
   return value
 }
 
+function stringifyBytes (bytes, value, field, options, line) {
+  if (bytes.length > field.width) {
+    throw overflowError(value, field, line)
+  }
+
+  const buffer = fillBytes(field.width, field.pad, getCodec(options.encoding))
+  buffer.set(bytes, field.align === 'right' ? field.width - bytes.length : 0)
+  return buffer
+}
+
+/**
+ * Applies the field's overflow mode to a value that exceeds its width.
+ * Truncation removes the exceeding chars on the padding side, unless
+ * "truncate-left" is used.
+ */
+function truncateValue (value, data, field, options, line) {
+  const overflow = field.overflow || getDefaultOverflow(data, options)
+  if (overflow === 'error') {
+    throw overflowError(value, field, line)
+  }
+
+  let result
+  if (typeof overflow === 'function') {
+    result = overflow(value, {
+      column: field.column,
+      line,
+      width: field.width
+    })
+    if (typeof result !== 'string' || measure(result, options) > field.width) {
+      throw overflowError(value, field, line)
+    }
+  } else {
+    const chars = Array.from(value)
+    const left = overflow === 'truncate-left' || field.align === 'right'
+    while (measure(chars.join(''), options) > field.width) {
+      if (left) {
+        chars.shift()
+      } else {
+        chars.pop()
+      }
+    }
+    result = chars.join('')
+  }
+
+  if (typeof options.onWarning === 'function') {
+    options.onWarning(
+      new FixedWidthError(
+        'FIELD_VALUE_TRUNCATED',
+        `Value on position ${line}:${field.column} was truncated to its width`,
+        {
+          line,
+          column: field.column,
+          property: field.property,
+          width: field.width,
+          value,
+          text: result
+        }
+      )
+    )
+  }
+  return result
+}
+
+function measure (value, options) {
+  return options.unit === 'byte'
+    ? getCodec(options.encoding).byteLength(value)
+    : value.length
+}
+
+function overflowError (value, field, line) {
+  return new FixedWidthError(
+    'FIELD_VALUE_OVERFLOW',
+    `Value on position ${line}:${field.column} overflow its width`,
+    { line, column: field.column, width: field.width, value }
+  )
+}
+
+function fillBytes (size, pad, codec) {
+  return allocBytes(size, codec.encode(pad)[0])
+}
+
 export function stringifyValue (value, encoding) {
-  return Buffer.isBuffer(value)
-    ? value.toString(encoding)
+  return isBytes(value)
+    ? getCodec(encoding).decode(value)
     : stringifyPrimitiveValue(
       typeof value === 'object' && value !== null
         ? value.valueOf()
@@ -1,7 +1,13 @@
 import test from 'ava'
 
 import { isAsyncIterable, isIterable, parseOptions } from './options.mjs'
-import { stringify, stringifyFields, stringifyValue } from './stringify.mjs'
+import { parse } from './parse.mjs'
+import {
+  Stringifier,
+  stringify,
+  stringifyFields,
+  stringifyValue
+} from './stringify.mjs'
 
 test('stringify value', t => {
   t.is(stringifyValue(false), '0')
@@ -230,3 +236,544 @@ test('stringify async iterable', async t => {
   }
   t.is(text, '42')
 })
+
+test('stringify records', t => {
+  const text = stringify(
+    [
+      { kind: 'H', date: '20240131' },
+      { kind: 'D', name: 'alice', amount: 24 },
+      { kind: 'T', count: 1 }
+    ],
+    {
+      discriminator: { column: 1, property: 'kind', width: 2 },
+      eof: false,
+      eol: '\n',
+      records: {
+        H: [{ property: 'date', column: 3, width: 8 }],
+        D: [
+          { property: 'name', column: 3, width: 10 },
+          {
+            align: 'right',
+            column: 13,
+            pad: '0',
+            property: 'amount',
+            width: 5
+          }
+        ],
+        T: [{ property: 'count', column: 4, width: 1 }]
+      }
+    }
+  )
+
+  t.is(text, 'H 20240131\nD alice     00024\nT  1')
+
+  const error = t.throws(
+    () => stringify([{ kind: 'X' }], {
+      discriminator: { property: 'kind', width: 1 },
+      records: { H: [{ property: 'value', column: 2, width: 1 }] }
+    }),
+    { code: 'UNKNOWN_RECORD_TYPE' }
+  )
+  t.is(error.line, 1)
+  t.is(error.type, 'X')
+})
+
+test('stringify bytes', t => {
+  const options = {
+    eof: false,
+    eol: '\n',
+    unit: 'byte',
+    fields: [
+      { property: 'name', width: 6 },
+      { align: 'right', property: 'city', width: 6 }
+    ]
+  }
+
+  const buffer = stringify(
+    [
+      { name: 'Renè', city: 'Forlì' },
+      { name: 'Luca', city: 'Rome' }
+    ],
+    options
+  )
+  t.true(Buffer.isBuffer(buffer))
+  t.is(buffer.toString(), 'Renè Forlì\nLuca    Rome')
+
+  const stringifier = new Stringifier(options)
+  t.deepEqual(stringifier.end(), Buffer.alloc(0))
+
+  const error = t.throws(
+    () => stringify([{ name: 'Renè', city: 'Forlìì' }], options),
+    { code: 'FIELD_VALUE_OVERFLOW' }
+  )
+  t.is(error.value, 'Forlìì')
+})
+
+test('stringify bytes records', t => {
+  const buffer = stringifyFields(
+    { $type: 'D', name: 'Renè' },
+    parseOptions({
+      discriminator: { width: 1 },
+      unit: 'byte',
+      records: {
+        D: [{ property: 'name', column: 3, width: 5 }]
+      }
+    })
+  )
+  t.is(buffer.toString(), 'D Renè')
+})
+
+test('stringify fixed-length records', t => {
+  t.is(
+    stringify(
+      [{ a: 'abc', b: 12 }, { a: 'def', b: 34 }],
+      {
+        eol: '',
+        fields: [
+          { property: 'a', width: 3 },
+          { property: 'b', width: 2 }
+        ]
+      }
+    ),
+    'abc12def34'
+  )
+})
+
+test('stringify header and trailer', t => {
+  const options = {
+    eol: '\n',
+    fields: [
+      { property: 'name', width: 5 },
+      { property: 'amount', type: 'decimal', scale: 2, align: 'right', pad: '0', width: 6 }
+    ],
+    header: {
+      fields: [
+        { property: 'type', width: 1 },
+        { property: 'date', type: 'date', format: 'YYYYMMDD', width: 8 }
+      ],
+      value: { type: 'H', date: new Date('2024-01-31') }
+    },
+    trailer: {
+      fields: [
+        { property: 'type', width: 1 },
+        { property: 'count', type: 'integer', align: 'right', pad: '0', width: 4 },
+        { property: 'total', type: 'decimal', scale: 2, align: 'right', pad: '0', width: 8 }
+      ],
+      count: 'count',
+      sums: { total: 'amount' },
+      value: aggregates => ({ type: aggregates.count > 0 ? 'T' : 'E' })
+    }
+  }
+
+  t.is(
+    stringify(
+      [
+        { name: 'alice', amount: 0.1 },
+        { name: 'bob', amount: 0.2 },
+        { name: 'eve', amount: 1000 }
+      ],
+      options
+    ),
+    'H20240131\nalice000010\nbob  000020\neve  100000\nT000300100030\n'
+  )
+
+  // No records
+  t.is(stringify([], options), 'H20240131\nE000000000000\n')
+
+  const stringifier = new Stringifier(options)
+  t.is(stringifier.write({ name: 'bob', amount: 1 }), 'H20240131\nbob  000100\n')
+  t.deepEqual(stringifier.aggregates, { count: 1, sums: { amount: 1 } })
+  t.is(stringifier.end(), 'T000100000100\n')
+  t.deepEqual(stringifier.aggregates, { count: 0, sums: {} })
+})
+
+test('stringify lossless header and trailer', t => {
+  const options = {
+    eol: '\n',
+    lossless: true,
+    fields: [
+      { property: 'name', width: 5 },
+      { property: 'amount', type: 'integer', align: 'right', pad: '0', width: 3 }
+    ],
+    header: {
+      fields: [
+        { property: 'type', width: 1 },
+        { property: 'date', type: 'date', format: 'YYYYMMDD', width: 8 }
+      ],
+      value: { type: 'H', date: new Date('2024-01-31') }
+    },
+    trailer: {
+      fields: [
+        { property: 'type', width: 1 },
+        { property: 'count', type: 'integer', align: 'right', pad: '0', width: 2 },
+        { property: 'total', type: 'integer', align: 'right', pad: '0', width: 4 }
+      ],
+      count: 'count',
+      sums: { total: 'amount' },
+      value: { type: 'T' }
+    }
+  }
+  const text = 'H20230101\nalice001\nbob  002\nT020003\n'
+
+  const records = parse(text, options)
+  t.like(records, [
+    { control: 'header', value: { type: 'H' } },
+    { value: { name: 'alice' } },
+    { value: { name: 'bob' } },
+    { control: 'trailer', value: { count: 2, total: 3 } }
+  ])
+  t.false('control' in records[1])
+  t.is(stringify(records, options), text)
+
+  // Control records are written with their own fields
+  records[0].value.date = new Date('2023-12-31')
+  records[3].value.type = 'X'
+  t.is(stringify(records, options), 'H20231231\nalice001\nbob  002\nX020003\n')
+
+  // Trailer totals follow the detail records
+  records[1].value.amount = 5
+  const edited = stringify(records, options)
+  t.is(edited, 'H20231231\nalice005\nbob  002\nX020007\n')
+  t.like(parse(edited, options)[3], { value: { count: 2, total: 7 } })
+  t.is(
+    stringify([records[0], records[2], records[3]], options),
+    'H20231231\nbob  002\nX010002\n'
+  )
+
+  // Missing control records are generated
+  t.is(
+    stringify(records.slice(1, 3), options),
+    'H20240131\nalice005\nbob  002\nT020007\n'
+  )
+
+  const stringifier = new Stringifier(options)
+  t.is(stringifier.write(records[1]), 'H20240131\nalice005\n')
+  t.is(stringifier.write(records[3]), 'X010005\n')
+  t.is(stringifier.end(), '')
+})
+
+test('stringify header and trailer records', t => {
+  const buffer = stringify(
+    [{ $type: 'D', qty: 2 }, { $type: 'D', qty: 40 }],
+    {
+      discriminator: { width: 1 },
+      eof: false,
+      eol: '\r\n',
+      unit: 'byte',
+      records: {
+        H: [{ property: 'name', column: 2, width: 5 }],
+        D: [{ property: 'qty', column: 2, type: 'integer', align: 'right', width: 4 }],
+        T: [
+          { property: 'count', column: 2, type: 'integer', align: 'right', width: 2 },
+          { property: 'total', column: 4, type: 'integer', align: 'right', width: 2 }
+        ]
+      },
+      header: { value: { $type: 'H', name: 'Renè' } },
+      trailer: { count: 'count', sums: { total: 'qty' }, value: { $type: 'T' } }
+    }
+  )
+  t.true(Buffer.isBuffer(buffer))
+  t.is(buffer.toString(), 'HRenè\r\nD   2\r\nD  40\r\nT 242')
+})
+
+test('header and trailer validation', t => {
+  const fields = [{ property: 'a', width: 1 }]
+  t.throws(() => parseOptions({ fields, header: 'H' }), { instanceOf: TypeError })
+  t.throws(() => parseOptions({ fields, trailer: {} }), { message: /Trailer fields are required/ })
+  t.throws(() => parseOptions({ fields, trailer: { fields, count: 1 } }), { instanceOf: TypeError })
+  t.throws(() => parseOptions({ fields, trailer: { fields, sums: { a: 1 } } }), { instanceOf: TypeError })
+  t.throws(() => parseOptions({ fields, trailer: { fields, value: 'T' } }), { instanceOf: TypeError })
+})
+
+test('stringify overflow', t => {
+  const warnings = []
+  const options = {
+    eol: '\n',
+    overflow: 'truncate',
+    onWarning: warning => warnings.push(warning),
+    fields: [
+      { property: 'name', width: 5 },
+      { property: 'code', align: 'right', width: 4 },
+      { property: 'tail', overflow: 'truncate-left', width: 4 },
+      { property: 'custom', overflow: value => value.substring(0, 2) + '.', width: 3 },
+      { property: 'amount', type: 'integer', width: 3 }
+    ]
+  }
+
+  t.is(
+    stringify(
+      [{ name: 'Alexander', code: 'AB1234', tail: 'ABC1234', custom: 'Mister', amount: 1 }],
+      options
+    ),
+    'Alexa12341234Mi.1  \n'
+  )
+  t.like(warnings, [
+    { code: 'FIELD_VALUE_TRUNCATED', line: 1, column: 1, property: 'name', value: 'Alexander', text: 'Alexa' },
+    { property: 'code', value: 'AB1234', text: '1234' },
+    { property: 'tail', value: 'ABC1234', text: '1234' },
+    { property: 'custom', value: 'Mister', text: 'Mi.' }
+  ])
+
+  // Numeric types are not truncated by default
+  t.throws(() => stringify([{ amount: 1234 }], options), {
+    code: 'FIELD_VALUE_OVERFLOW'
+  })
+  // Same for JS numbers, unless their field says so
+  t.throws(() => stringify([{ name: 123456 }], options), {
+    code: 'FIELD_VALUE_OVERFLOW'
+  })
+  t.throws(() => stringify([{ name: 123456n }], options), {
+    code: 'FIELD_VALUE_OVERFLOW'
+  })
+  t.is(
+    stringify([{ n: 12345 }], {
+      eof: false,
+      overflow: 'truncate',
+      fields: [{ property: 'n', overflow: 'truncate', width: 3 }]
+    }),
+    '123'
+  )
+  t.throws(() => stringify([{ custom: 'ab' }], {
+    fields: [{ property: 'custom', width: 1, overflow: () => 'abc' }]
+  }), { code: 'FIELD_VALUE_OVERFLOW' })
+  t.throws(() => stringify([{ name: 'Alexander' }], { ...options, overflow: 'error' }), {
+    code: 'FIELD_VALUE_OVERFLOW'
+  })
+})
+
+test('stringify bytes overflow', t => {
+  const buffer = stringify([{ name: 'àèìòù' }], {
+    eol: '',
+    unit: 'byte',
+    overflow: 'truncate',
+    fields: [{ property: 'name', width: 5 }]
+  })
+  // Multibyte chars are never split
+  t.is(buffer.toString(), 'àè ')
+})
+
+test('stringify title rows', t => {
+  const options = {
+    eol: '\n',
+    titles: 'validate',
+    fields: [
+      { property: 'username', width: 12 },
+      { property: 'age', type: 'integer', align: 'right', pad: '0', width: 3 },
+      { property: 'active', title: 'Active', type: 'boolean', width: 3 }
+    ]
+  }
+
+  const text = stringify([{ username: 'alice', age: 24, active: true }], options)
+  t.is(text, 'username    ageAct\nalice       0241  \n')
+  t.is(stringify([], options), 'username    ageAct\n')
+
+  const buffer = stringify([], { ...options, unit: 'byte' })
+  t.is(buffer.toString(), 'username    ageAct\n')
+
+  // Nested properties
+  t.is(
+    stringify([{ a: { b: 'x' } }], {
+      titles: true,
+      fields: [{ property: 'a.b', width: 8 }]
+    }),
+    'a.b     \nx       \n'
+  )
+
+  // Title row followed by a header record
+  const header = {
+    fields: [{ property: 'count', type: 'integer', align: 'right', pad: '0', width: 3 }],
+    count: 'count'
+  }
+  t.is(
+    stringify([{ username: 'bob', age: 30, active: false }], { ...options, header }),
+    'username    ageAct\n000\nbob         0300  \n'
+  )
+  t.is(stringify([], { ...options, header }), 'username    ageAct\n000\n')
+
+  t.throws(() => parseOptions({ ...options, titles: 'yes' }), { instanceOf: TypeError })
+  t.throws(() => parseOptions({ ...options, header: true }), { instanceOf: TypeError })
+  t.throws(() => parseOptions([{ width: 1, title: 1 }]), { instanceOf: TypeError })
+  t.throws(() => parseOptions({
+    titles: true,
+    discriminator: { width: 1 },
+    records: { A: [{ property: 'a', column: 2, width: 1 }] }
+  }), { message: /Title rows/ })
+})
+
+test('stringify lossless records', t => {
+  const options = {
+    eol: '\n',
+    lossless: true,
+    allowShorterLines: true,
+    fields: [
+      { property: 'name', width: 5 },
+      { property: 'age', type: 'integer', align: 'right', column: 8, width: 3 },
+      { property: 'date', type: 'date', column: 12, width: 8 }
+    ]
+  }
+  const text = 'Renè |x 42|20240131\nLuca #!018|20231201\nAnna\n'
+
+  const records = parse(text, options)
+  t.is(stringify(records, options), text)
+
+  // Only changed values are written
+  records[0].value.age = 43
+  records[1].value.date = new Date('2023-12-02')
+  records[2].value.name = 'Ann'
+  records[2].value.age = 7
+  t.is(
+    stringify(records, options),
+    'Renè |x 43|20240131\nLuca #!018|20231202\nAnn      7\n'
+  )
+
+  // New records
+  t.is(
+    stringify([{ value: { name: 'Bob', age: 1 } }], options),
+    'Bob      1         \n'
+  )
+
+  const bytes = { ...options, unit: 'byte' }
+  const buffer = Buffer.from('Renè|x 42|20240131\nLuca #!018|20231201\nAnna\n')
+  const items = parse(buffer, bytes)
+  t.deepEqual(stringify(items, bytes), buffer)
+  items[0].value.age = 1
+  items[2].value.age = 2
+  t.is(
+    stringify(items, bytes).toString(),
+    'Renè|x  1|20240131\nLuca #!018|20231201\nAnna     2\n'
+  )
+})
+
+test('stringify lossless records by type', t => {
+  const options = {
+    eol: '\n',
+    lossless: true,
+    discriminator: { width: 1 },
+    records: {
+      A: [{ property: 'a', column: 3, width: 2 }],
+      B: [{ property: 'b', column: 2, width: 3 }]
+    }
+  }
+  const records = parse('A-xy\nB123\n', options)
+  t.is(stringify(records, options), 'A-xy\nB123\n')
+
+  records[0].value.$type = 'B'
+  records[0].value.b = 'zz'
+  t.is(stringify(records, options), 'Bzz \nB123\n')
+})
+
+test('stringify nested properties and repeated fields', t => {
+  const options = {
+    eol: '\n',
+    fields: [
+      { property: 'address.city', width: 6 },
+      { property: 'amounts', type: 'integer', align: 'right', width: 3, occurs: 2 },
+      {
+        property: 'lines',
+        occurs: 2,
+        width: 4,
+        fields: [
+          { property: 'sku', width: 2 },
+          { property: 'qty', type: 'integer', align: 'right', width: 2 }
+        ]
+      }
+    ]
+  }
+
+  const items = [
+    {
+      address: { city: 'Milan' },
+      amounts: [1, 20],
+      lines: [{ sku: 'X1', qty: 3 }]
+    },
+    {}
+  ]
+  t.is(
+    stringify(items, options),
+    'Milan   1 20X1 3    \n' +
+    '                    \n'
+  )
+})
+
+test('stringify fillers and rest content', t => {
+  const options = {
+    eol: '\n',
+    fields: [
+      { property: 'id', width: 3 },
+      { filler: '-', width: 2 },
+      { property: 'name', column: 7, width: 4 }
+    ]
+  }
+
+  const items = [
+    { id: 'A01', name: 'Anna', $rest: '**  extra' },
+    { id: 'B02', name: 'Luca', $rest: '*' },
+    { id: 'C03', name: 'Nico' }
+  ]
+  t.is(
+    stringify(items, options),
+    'A01-- Anna\nB02-- Luca\nC03-- Nico\n'
+  )
+  t.is(
+    stringify(items, { ...options, rest: true }),
+    'A01** Anna extra\nB02*- Luca\nC03-- Nico\n'
+  )
+  t.deepEqual(
+    stringify(items.slice(0, 2), { ...options, rest: true, unit: 'byte', pad: '#' }),
+    Buffer.from('A01** Anna extra\nB02*-#Luca\n')
+  )
+})
+
+test('stringify field views', t => {
+  const options = {
+    eol: '\n',
+    fields: [
+      { property: 'kind', width: 1 },
+      { property: 'date', type: 'date', format: 'YYYYMMDD', width: 8 },
+      { property: 'year', type: 'integer', redefines: 'date', width: 4 },
+      { property: 'region', align: 'right', width: 5 },
+      {
+        property: 'amount',
+        type: 'integer',
+        align: 'right',
+        pad: '0',
+        redefines: 'region',
+        when: record => record.kind === 'P'
+      },
+      {
+        property: 'code',
+        redefines: 'region',
+        width: 3,
+        when: record => record.kind === 'C'
+      }
+    ]
+  }
+
+  t.is(
+    stringify(
+      [
+        { kind: 'P', date: new Date('2024-01-31'), year: 1999, region: '1', amount: 2 },
+        { kind: 'P', year: 2025, amount: 7, code: 'X' },
+        { kind: 'C', amount: 7, code: 'X' }
+      ],
+      options
+    ),
+    'P20240131    1\n' +
+    'P2025    00007\n' +
+    'C        X    \n'
+  )
+
+  const records = parse('P2024013100120', { ...options, lossless: true })
+  records[0].value.year = 1999
+  records[0].value.amount = 5
+  t.is(stringify(records, { ...options, lossless: true }), 'P1999013100005\n')
+
+  records[0].value.date = new Date('2000-02-01')
+  t.is(stringify(records, { ...options, lossless: true }), 'P2000020100005\n')
+
+  // Views have no title
+  t.is(
+    stringify([{ kind: 'C', code: 'X' }], { ...options, titles: true }),
+    'kdate    regio\nC        X    \n'
+  )
+})
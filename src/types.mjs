@@ -0,0 +1,491 @@
+import { FixedWidthError } from './error.mjs'
+
+/**
+ * Returns the casting functions (both ways) of a typed field definition.
+ */
+export function getFieldType (field) {
+  switch (field.type) {
+    case undefined:
+    case null:
+      return null
+    case 'integer':
+      return integerType(field)
+    case 'decimal':
+      return decimalType(field)
+    case 'date':
+      return dateType(field)
+    case 'boolean':
+      return booleanType(field)
+    case 'enum':
+      return enumType(field)
+    case 'zoned':
+      return zonedType(field)
+    case 'packed':
+      return packedType(field)
+    case 'binary':
+      return binaryType(field)
+    default:
+      throw new TypeError(`Unknown field type: ${field.type}`)
+  }
+}
+
+/**
+ * Binary types work with raw bytes (byte unit only).
+ */
+export function isBinaryType (type) {
+  return type === 'packed' || type === 'binary'
+}
+
+function integerType (field) {
+  return {
+    numeric: true,
+    cast (value, context) {
+      if (value === '') {
+        return getEmptyNumber(field)
+      }
+      if (!/^[+-]?\d+$/.test(value)) {
+        throw invalidValue('INVALID_INTEGER', 'integer', value, context)
+      }
+      return parseInt(value, 10)
+    },
+    stringify (value, context) {
+      if (value === undefined || value === null) {
+        return ''
+      }
+      if (!Number.isInteger(value) && typeof value !== 'bigint') {
+        throw invalidValue('INVALID_INTEGER', 'integer', value, context)
+      }
+      return padNumber(value.toString(10), field, context)
+    }
+  }
+}
+
+function decimalType (field) {
+  const scale = parseScale(field.scale)
+
+  const separator = field.separator || ''
+  if (typeof separator !== 'string') {
+    throw new TypeError('Decimal separator must be a string')
+  }
+
+  const pattern = separator
+    ? new RegExp(`^[+-]?(\\d+|\\d*${escapeRegExp(separator)}\\d+)$`)
+    : /^[+-]?\d+$/
+
+  return {
+    numeric: true,
+    cast (value, context) {
+      if (value === '') {
+        return getEmptyNumber(field)
+      }
+      if (!pattern.test(value)) {
+        throw invalidValue('INVALID_DECIMAL', 'decimal', value, context)
+      }
+      return separator
+        ? parseFloat(value.replace(separator, '.'))
+        : parseInt(value, 10) / Math.pow(10, scale)
+    },
+    stringify (value, context) {
+      if (value === undefined || value === null) {
+        return ''
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw invalidValue('INVALID_DECIMAL', 'decimal', value, context)
+      }
+      return padNumber(
+        value.toFixed(scale).replace('.', separator),
+        field,
+        context
+      )
+    }
+  }
+}
+
+function zonedType (field) {
+  const scale = parseScale(field.scale)
+
+  return {
+    numeric: true,
+    cast (value, context) {
+      if (value === '') {
+        return getEmptyNumber(field)
+      }
+      if (!/^\d*[\d{}A-R]$/.test(value)) {
+        throw invalidValue('INVALID_ZONED_DECIMAL', 'zoned decimal', value, context)
+      }
+
+      const last = value[value.length - 1]
+      const overpunch = overpunchDigits[last]
+      const digits = value.substring(0, value.length - 1) + (
+        overpunch === undefined ? last : overpunch.digit
+      )
+      const result = parseInt(digits, 10) / Math.pow(10, scale)
+      return overpunch !== undefined && overpunch.negative ? -result : result
+    },
+    stringify (value, context) {
+      if (value === undefined || value === null) {
+        return ''
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw invalidValue('INVALID_ZONED_DECIMAL', 'zoned decimal', value, context)
+      }
+
+      const digits = Math.round(Math.abs(value) * Math.pow(10, scale))
+        .toString(10)
+        .padStart(context.width, '0')
+
+      const last = parseInt(digits[digits.length - 1], 10)
+      return digits.substring(0, digits.length - 1) + (
+        value < 0 ? negativeOverpunch[last] : positiveOverpunch[last]
+      )
+    }
+  }
+}
+
+const positiveOverpunch = '{ABCDEFGHI'
+const negativeOverpunch = '}JKLMNOPQR'
+
+const overpunchDigits = Object.fromEntries([
+  ...Array.from(positiveOverpunch, (char, digit) => [
+    char,
+    { digit, negative: false }
+  ]),
+  ...Array.from(negativeOverpunch, (char, digit) => [
+    char,
+    { digit, negative: true }
+  ])
+])
+
+/**
+ * Packed decimal (COMP-3): two digits per byte, the last nibble is the sign.
+ */
+function packedType (field) {
+  const scale = parseScale(field.scale)
+  const signed = field.signed !== false
+
+  return {
+    numeric: true,
+    cast (bytes, context) {
+      if (bytes.every(byte => byte === 0)) {
+        return null
+      }
+
+      let digits = ''
+      for (let i = 0; i < bytes.length; i++) {
+        digits += (bytes[i] >> 4).toString(16)
+        if (i < bytes.length - 1) {
+          digits += (bytes[i] & 0x0f).toString(16)
+        }
+      }
+      const sign = bytes[bytes.length - 1] & 0x0f
+      if (!/^\d+$/.test(digits) || sign < 0x0a) {
+        throw invalidValue('INVALID_PACKED_DECIMAL', 'packed decimal', bytes, context)
+      }
+
+      const result = parseInt(digits, 10) / Math.pow(10, scale)
+      return sign === 0x0b || sign === 0x0d ? -result : result
+    },
+    stringify (value, context) {
+      if (value === undefined || value === null) {
+        return new Uint8Array(context.width)
+      }
+      if (
+        typeof value !== 'number' ||
+        !Number.isFinite(value) ||
+        (!signed && value < 0)
+      ) {
+        throw invalidValue('INVALID_PACKED_DECIMAL', 'packed decimal', value, context)
+      }
+
+      let digits = Math.round(Math.abs(value) * Math.pow(10, scale))
+        .toString(10)
+        .padStart(context.width * 2 - 1, '0')
+      if (digits.length % 2 === 0) {
+        // Overflowing values still need an odd number of digits
+        digits = '0' + digits
+      }
+      const sign = !signed ? 0x0f : value < 0 ? 0x0d : 0x0c
+
+      const bytes = new Uint8Array((digits.length + 1) / 2)
+      for (let i = 0; i < bytes.length; i++) {
+        const high = parseInt(digits[i * 2], 10)
+        const low = i < bytes.length - 1 ? parseInt(digits[i * 2 + 1], 10) : sign
+        bytes[i] = (high << 4) | low
+      }
+      return bytes
+    }
+  }
+}
+
+/**
+ * Big-endian binary integer (COMP), two's complement when signed.
+ */
+function binaryType (field) {
+  const scale = parseScale(field.scale)
+  const signed = field.signed !== false
+
+  return {
+    numeric: true,
+    cast (bytes) {
+      let result = 0n
+      for (const byte of bytes) {
+        result = (result << 8n) | BigInt(byte)
+      }
+      if (signed && bytes.length > 0 && bytes[0] & 0x80) {
+        result -= 1n << BigInt(bytes.length * 8)
+      }
+
+      if (scale > 0) {
+        return Number(result) / Math.pow(10, scale)
+      }
+      return result >= BigInt(Number.MIN_SAFE_INTEGER) &&
+        result <= BigInt(Number.MAX_SAFE_INTEGER)
+        ? Number(result)
+        : result
+    },
+    stringify (value, context) {
+      if (value === undefined || value === null) {
+        return new Uint8Array(context.width)
+      }
+
+      let result
+      if (typeof value === 'bigint' && scale === 0) {
+        result = value
+      } else if (typeof value === 'number' && Number.isFinite(value)) {
+        result = BigInt(Math.round(value * Math.pow(10, scale)))
+      } else {
+        throw invalidValue('INVALID_BINARY', 'binary', value, context)
+      }
+
+      const bits = BigInt(context.width * 8)
+      const min = signed ? -(1n << (bits - 1n)) : 0n
+      const max = signed ? (1n << (bits - 1n)) - 1n : (1n << bits) - 1n
+      if (result < min || result > max) {
+        throw new FixedWidthError(
+          'FIELD_VALUE_OVERFLOW',
+          `Value on position ${context.line}:${context.column} overflow its width`,
+          { ...context, value }
+        )
+      }
+      if (result < 0n) {
+        result += 1n << bits
+      }
+
+      const bytes = new Uint8Array(context.width)
+      for (let i = bytes.length - 1; i >= 0; i--) {
+        bytes[i] = Number(result & 0xffn)
+        result >>= 8n
+      }
+      return bytes
+    }
+  }
+}
+
+function dateType (field) {
+  const format = field.format || 'YYYYMMDD'
+  if (typeof format !== 'string') {
+    throw new TypeError('Date format must be a string')
+  }
+
+  const tokens = []
+  const pattern = new RegExp(
+    '^' +
+    format.replace(
+      /(YYYY|YY|MM|DD|HH|mm|ss|SSS)|[^YMDHmsS]+|./g,
+      (match, token) => {
+        if (token) {
+          tokens.push(token)
+          return `(\\d{${token.length}})`
+        }
+        return escapeRegExp(match)
+      }
+    ) +
+    '$'
+  )
+
+  return {
+    cast (value, context) {
+      if (/^0*$/.test(value)) {
+        return null
+      }
+      const match = value.match(pattern)
+      if (!match) {
+        throw invalidValue('INVALID_DATE', 'date', value, context)
+      }
+
+      const parts = { YYYY: 1970, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0, SSS: 0 }
+      for (let i = 0; i < tokens.length; i++) {
+        dateTokens[tokens[i]].parse(parts, parseInt(match[i + 1], 10))
+      }
+
+      const date = new Date(Date.UTC(
+        parts.YYYY,
+        parts.MM - 1,
+        parts.DD,
+        parts.HH,
+        parts.mm,
+        parts.ss,
+        parts.SSS
+      ))
+      if (
+        date.getUTCMonth() !== parts.MM - 1 ||
+        date.getUTCDate() !== parts.DD ||
+        date.getUTCHours() !== parts.HH ||
+        date.getUTCMinutes() !== parts.mm ||
+        date.getUTCSeconds() !== parts.ss
+      ) {
+        throw invalidValue('INVALID_DATE', 'date', value, context)
+      }
+      return date
+    },
+    stringify (value, context) {
+      if (value === undefined || value === null) {
+        return ''
+      }
+      if (!(value instanceof Date) || isNaN(value.getTime())) {
+        throw invalidValue('INVALID_DATE', 'date', value, context)
+      }
+      return format.replace(
+        /YYYY|YY|MM|DD|HH|mm|ss|SSS/g,
+        token => dateTokens[token].format(value)
+      )
+    }
+  }
+}
+
+const dateTokens = {
+  YYYY: {
+    parse: (parts, value) => { parts.YYYY = value },
+    format: date => date.getUTCFullYear().toString().padStart(4, '0')
+  },
+  YY: {
+    // POSIX rule: 69-99 are 1900s, 00-68 are 2000s
+    parse: (parts, value) => { parts.YYYY = value + (value < 69 ? 2000 : 1900) },
+    format: date => (date.getUTCFullYear() % 100).toString().padStart(2, '0')
+  },
+  MM: {
+    parse: (parts, value) => { parts.MM = value },
+    format: date => (date.getUTCMonth() + 1).toString().padStart(2, '0')
+  },
+  DD: {
+    parse: (parts, value) => { parts.DD = value },
+    format: date => date.getUTCDate().toString().padStart(2, '0')
+  },
+  HH: {
+    parse: (parts, value) => { parts.HH = value },
+    format: date => date.getUTCHours().toString().padStart(2, '0')
+  },
+  mm: {
+    parse: (parts, value) => { parts.mm = value },
+    format: date => date.getUTCMinutes().toString().padStart(2, '0')
+  },
+  ss: {
+    parse: (parts, value) => { parts.ss = value },
+    format: date => date.getUTCSeconds().toString().padStart(2, '0')
+  },
+  SSS: {
+    parse: (parts, value) => { parts.SSS = value },
+    format: date => date.getUTCMilliseconds().toString().padStart(3, '0')
+  }
+}
+
+function booleanType (field) {
+  const truthy = field.true === undefined ? '1' : field.true
+  const falsy = field.false === undefined ? '0' : field.false
+  if (typeof truthy !== 'string' || typeof falsy !== 'string') {
+    throw new TypeError('Boolean values must be strings')
+  }
+  if (truthy === falsy) {
+    throw new Error('Boolean values must be different')
+  }
+
+  return {
+    cast (value, context) {
+      if (value === truthy) {
+        return true
+      } else if (value === falsy) {
+        return false
+      } else if (value === '') {
+        return null
+      }
+      throw invalidValue('INVALID_BOOLEAN', 'boolean', value, context)
+    },
+    stringify (value, context) {
+      if (value === true) {
+        return truthy
+      } else if (value === false) {
+        return falsy
+      } else if (value === undefined || value === null) {
+        return ''
+      }
+      throw invalidValue('INVALID_BOOLEAN', 'boolean', value, context)
+    }
+  }
+}
+
+function enumType (field) {
+  const values = Array.isArray(field.values)
+    ? new Map(field.values.map(code => [code, code]))
+    : new Map(Object.entries(Object(field.values)))
+  if (values.size <= 0) {
+    throw new Error('Enum values are required')
+  }
+
+  return {
+    cast (value, context) {
+      if (values.has(value)) {
+        return values.get(value)
+      } else if (value === '') {
+        return null
+      }
+      throw invalidValue('INVALID_ENUM', 'enum', value, context)
+    },
+    stringify (value, context) {
+      if (value === undefined || value === null) {
+        return ''
+      }
+      for (const [code, item] of values) {
+        if (item === value) {
+          return code
+        }
+      }
+      throw invalidValue('INVALID_ENUM', 'enum', value, context)
+    }
+  }
+}
+
+function parseScale (value = 0) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new TypeError('Numeric scale must be a non-negative integer')
+  }
+  return value
+}
+
+/**
+ * Zero-padded numbers are fully trimmed when their value is zero.
+ */
+function getEmptyNumber (field) {
+  return field.pad === '0' ? 0 : null
+}
+
+/**
+ * Keeps the sign before the zero padding.
+ */
+function padNumber (text, field, context) {
+  if (field.pad !== '0' || field.align !== 'right' || !/^[+-]/.test(text)) {
+    return text
+  }
+  return text[0] + text.substring(1).padStart(context.width - 1, '0')
+}
+
+function invalidValue (code, type, value, context) {
+  return new FixedWidthError(
+    code,
+    `Invalid ${type} value on position ${context.line}:${context.column}`,
+    { ...context, value }
+  )
+}
+
+function escapeRegExp (value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
@@ -0,0 +1,267 @@
+import test from 'ava'
+
+import { parse } from './parse.mjs'
+import { stringify } from './stringify.mjs'
+import { getFieldType } from './types.mjs'
+
+const context = { column: 1, line: 1, width: 8 }
+
+test('untyped field', t => {
+  t.is(getFieldType({}), null)
+  t.throws(() => getFieldType({ type: 'unknown' }))
+})
+
+test('integer', t => {
+  const type = getFieldType({ type: 'integer' })
+  t.is(type.cast('42', context), 42)
+  t.is(type.cast('-42', context), -42)
+  t.is(type.cast('', context), null)
+  t.throws(() => type.cast('4.2', context), { code: 'INVALID_INTEGER' })
+  t.is(type.stringify(42, context), '42')
+  t.is(type.stringify(42n, context), '42')
+  t.is(type.stringify(null, context), '')
+  t.throws(() => type.stringify(4.2, context), { code: 'INVALID_INTEGER' })
+
+  const padded = getFieldType({ type: 'integer', align: 'right', pad: '0' })
+  t.is(padded.cast('', context), 0)
+  t.is(padded.stringify(-42, context), '-0000042')
+})
+
+test('decimal', t => {
+  const type = getFieldType({ type: 'decimal', scale: 2 })
+  t.is(type.cast('12345', context), 123.45)
+  t.is(type.cast('-050', context), -0.5)
+  t.is(type.cast('', context), null)
+  t.throws(() => type.cast('123.45', context), { code: 'INVALID_DECIMAL' })
+  t.is(type.stringify(123.45, context), '12345')
+  t.is(type.stringify(-0.5, context), '-050')
+  t.is(type.stringify(undefined, context), '')
+  t.throws(() => type.stringify('1', context), { code: 'INVALID_DECIMAL' })
+  t.throws(() => type.stringify(NaN, context), { code: 'INVALID_DECIMAL' })
+
+  const explicit = getFieldType({ type: 'decimal', scale: 1, separator: ',' })
+  t.is(explicit.cast('12,5', context), 12.5)
+  t.is(explicit.cast(',5', context), 0.5)
+  t.is(explicit.cast('12', context), 12)
+  t.throws(() => explicit.cast('12.5', context), { code: 'INVALID_DECIMAL' })
+  t.is(explicit.stringify(12.25, context), '12,3')
+
+  t.throws(() => getFieldType({ type: 'decimal', scale: -1 }))
+  t.throws(() => getFieldType({ type: 'decimal', separator: 1 }))
+})
+
+test('zoned decimal', t => {
+  const type = getFieldType({ type: 'zoned', scale: 2 })
+  t.is(type.cast('1234E', { ...context, width: 5 }), 123.45)
+  t.is(type.cast('1234N', { ...context, width: 5 }), -123.45)
+  t.is(type.cast('0000}', { ...context, width: 5 }), -0)
+  t.is(type.cast('12345', { ...context, width: 5 }), 123.45)
+  t.is(type.cast('A', { ...context, width: 5 }), 0.01)
+  t.is(type.cast('', context), null)
+  t.throws(() => type.cast('12S', context), { code: 'INVALID_ZONED_DECIMAL' })
+  t.throws(() => type.cast('1{2', context), { code: 'INVALID_ZONED_DECIMAL' })
+  t.is(type.stringify(123.45, { ...context, width: 7 }), '001234E')
+  t.is(type.stringify(-123.45, { ...context, width: 7 }), '001234N')
+  t.is(type.stringify(0, { ...context, width: 3 }), '00{')
+  t.is(type.stringify(-0.1, { ...context, width: 3 }), '01}')
+  t.is(type.stringify(null, context), '')
+  t.throws(() => type.stringify('1', context), {
+    code: 'INVALID_ZONED_DECIMAL'
+  })
+
+  t.deepEqual(
+    parse('00012{0000J\n', {
+      fields: [
+        { type: 'zoned', pad: '0', width: 6 },
+        { type: 'zoned', scale: 1, pad: '0', width: 5 }
+      ]
+    }),
+    [[120, -0.1]]
+  )
+  t.is(
+    stringify([[120, -0.1]], {
+      eof: false,
+      fields: [
+        { type: 'zoned', width: 6 },
+        { type: 'zoned', scale: 1, width: 5 }
+      ]
+    }),
+    '00012{0000J'
+  )
+  t.throws(() => getFieldType({ type: 'zoned', scale: 1.5 }))
+})
+
+test('packed decimal', t => {
+  const type = getFieldType({ type: 'packed', scale: 2 })
+  const ctx = { ...context, width: 3 }
+  t.is(type.cast(Buffer.from([0x12, 0x34, 0x5c]), ctx), 123.45)
+  t.is(type.cast(Buffer.from([0x12, 0x34, 0x5d]), ctx), -123.45)
+  t.is(type.cast(Buffer.from([0x00, 0x00, 0x1f]), ctx), 0.01)
+  t.is(type.cast(Buffer.from([0x00, 0x00, 0x00]), ctx), null)
+  t.throws(() => type.cast(Buffer.from([0x1a, 0x00, 0x0c]), ctx), {
+    code: 'INVALID_PACKED_DECIMAL'
+  })
+  t.throws(() => type.cast(Buffer.from([0x10, 0x00, 0x01]), ctx), {
+    code: 'INVALID_PACKED_DECIMAL'
+  })
+  t.deepEqual(type.stringify(123.45, ctx), new Uint8Array([0x12, 0x34, 0x5c]))
+  t.deepEqual(type.stringify(-0.01, ctx), new Uint8Array([0x00, 0x00, 0x1d]))
+  t.deepEqual(type.stringify(null, ctx), new Uint8Array(3))
+  t.is(type.stringify(1234.56, ctx).length, 4)
+  t.throws(() => type.stringify('1', ctx), { code: 'INVALID_PACKED_DECIMAL' })
+
+  const unsigned = getFieldType({ type: 'packed', signed: false })
+  t.deepEqual(unsigned.stringify(42, ctx), new Uint8Array([0x00, 0x04, 0x2f]))
+  t.throws(() => unsigned.stringify(-42, ctx), {
+    code: 'INVALID_PACKED_DECIMAL'
+  })
+})
+
+test('binary', t => {
+  const type = getFieldType({ type: 'binary' })
+  const ctx = { ...context, width: 2 }
+  t.is(type.cast(Buffer.from([0x01, 0x02]), ctx), 258)
+  t.is(type.cast(Buffer.from([0xff, 0xfe]), ctx), -2)
+  t.is(type.cast(Buffer.from([0x7f, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]), ctx), 2n ** 63n - 1n)
+  t.deepEqual(type.stringify(258, ctx), new Uint8Array([0x01, 0x02]))
+  t.deepEqual(type.stringify(-2, ctx), new Uint8Array([0xff, 0xfe]))
+  t.deepEqual(type.stringify(-2n, ctx), new Uint8Array([0xff, 0xfe]))
+  t.deepEqual(type.stringify(null, ctx), new Uint8Array(2))
+  t.throws(() => type.stringify(32768, ctx), { code: 'FIELD_VALUE_OVERFLOW' })
+  t.throws(() => type.stringify('1', ctx), { code: 'INVALID_BINARY' })
+
+  const unsigned = getFieldType({ type: 'binary', signed: false, scale: 1 })
+  t.is(unsigned.cast(Buffer.from([0xff, 0xfe]), ctx), 6553.4)
+  t.deepEqual(unsigned.stringify(6553.4, ctx), new Uint8Array([0xff, 0xfe]))
+  t.throws(() => unsigned.stringify(-1, ctx), { code: 'FIELD_VALUE_OVERFLOW' })
+})
+
+test('binary fields', t => {
+  const options = {
+    eol: '',
+    unit: 'byte',
+    fields: [
+      { property: 'name', width: 4 },
+      { property: 'amount', type: 'packed', scale: 2, width: 3 },
+      { property: 'count', type: 'binary', width: 2 }
+    ]
+  }
+  const buffer = Buffer.from([
+    0x61, 0x62, 0x20, 0x20, 0x12, 0x34, 0x5c, 0x0a, 0x0d,
+    0x63, 0x20, 0x20, 0x20, 0x00, 0x00, 0x1d, 0xff, 0xff
+  ])
+  const items = [
+    { name: 'ab', amount: 123.45, count: 2573 },
+    { name: 'c', amount: -0.01, count: -1 }
+  ]
+
+  t.deepEqual(parse(buffer, options), items)
+  t.deepEqual(stringify(items, options), buffer)
+
+  // Binary layouts default to fixed-length records
+  const fixed = { ...options, eol: undefined }
+  t.deepEqual(parse(buffer, fixed), items)
+  t.deepEqual(stringify(items, fixed), buffer)
+
+  t.throws(() => stringify([{ amount: 10000 }], options), {
+    code: 'FIELD_VALUE_OVERFLOW'
+  })
+  t.throws(() => parse('', { ...options, unit: 'char' }))
+})
+
+test('zero-padded numbers', t => {
+  t.deepEqual(
+    parse('04200\n00000\n', {
+      fields: [{ type: 'integer', align: 'right', pad: '0', width: 5 }]
+    }),
+    [[4200], [0]]
+  )
+})
+
+test('date', t => {
+  const type = getFieldType({ type: 'date' })
+  t.deepEqual(type.cast('20240229', context), new Date('2024-02-29T00:00:00Z'))
+  t.is(type.cast('', context), null)
+  t.is(type.cast('00000000', context), null)
+  t.throws(() => type.cast('20230229', context), { code: 'INVALID_DATE' })
+  t.throws(() => type.cast('2024-02-29', context), { code: 'INVALID_DATE' })
+  t.is(type.stringify(new Date('2024-02-29T00:00:00Z'), context), '20240229')
+  t.is(type.stringify(null, context), '')
+  t.throws(() => type.stringify('20240229', context), { code: 'INVALID_DATE' })
+  t.throws(() => type.stringify(new Date(NaN), context), { code: 'INVALID_DATE' })
+
+  const time = getFieldType({ type: 'date', format: 'DD/MM/YY HH:mm:ss.SSS' })
+  const date = new Date('1999-12-31T23:59:58.123Z')
+  t.deepEqual(time.cast('31/12/99 23:59:58.123', context), date)
+  t.deepEqual(
+    time.cast('01/01/00 00:00:00.000', context),
+    new Date('2000-01-01T00:00:00Z')
+  )
+  t.is(time.stringify(date, context), '31/12/99 23:59:58.123')
+  t.throws(() => time.cast('31/12/99 24:00:00.000', context), {
+    code: 'INVALID_DATE'
+  })
+
+  t.throws(() => getFieldType({ type: 'date', format: 42 }))
+})
+
+test('boolean', t => {
+  const type = getFieldType({ type: 'boolean' })
+  t.is(type.cast('1', context), true)
+  t.is(type.cast('0', context), false)
+  t.is(type.cast('', context), null)
+  t.throws(() => type.cast('Y', context), { code: 'INVALID_BOOLEAN' })
+  t.is(type.stringify(true, context), '1')
+  t.is(type.stringify(false, context), '0')
+  t.is(type.stringify(null, context), '')
+  t.throws(() => type.stringify('Y', context), { code: 'INVALID_BOOLEAN' })
+
+  const custom = getFieldType({ type: 'boolean', true: 'Y', false: 'N' })
+  t.is(custom.cast('Y', context), true)
+  t.is(custom.stringify(false, context), 'N')
+
+  t.throws(() => getFieldType({ type: 'boolean', true: 1 }))
+  t.throws(() => getFieldType({ type: 'boolean', true: 'Y', false: 'Y' }))
+})
+
+test('enum', t => {
+  const type = getFieldType({
+    type: 'enum',
+    values: { A: 'active', I: 'inactive' }
+  })
+  t.is(type.cast('A', context), 'active')
+  t.is(type.cast('', context), null)
+  t.throws(() => type.cast('X', context), { code: 'INVALID_ENUM' })
+  t.is(type.stringify('inactive', context), 'I')
+  t.is(type.stringify(null, context), '')
+  t.throws(() => type.stringify('deleted', context), { code: 'INVALID_ENUM' })
+
+  const codes = getFieldType({ type: 'enum', values: ['EUR', 'USD'] })
+  t.is(codes.cast('EUR', context), 'EUR')
+  t.is(codes.stringify('USD', context), 'USD')
+
+  t.throws(() => getFieldType({ type: 'enum' }))
+})
+
+test('typed fields', t => {
+  const fields = [
+    { property: 'id', type: 'integer', align: 'right', pad: '0', width: 4 },
+    { property: 'amount', type: 'decimal', scale: 2, align: 'right', width: 6 },
+    { property: 'date', type: 'date', format: 'YYYYMMDD', width: 8 },
+    { property: 'active', type: 'boolean', true: 'Y', false: 'N', width: 1 }
+  ]
+  const text = '0042 1234520240131Y\n0000  -05020240201N\n'
+  const items = [
+    { id: 42, amount: 123.45, date: new Date('2024-01-31'), active: true },
+    { id: 0, amount: -0.5, date: new Date('2024-02-01'), active: false }
+  ]
+
+  t.deepEqual(parse(text, { eol: '\n', fields }), items)
+  t.is(stringify(items, { eol: '\n', fields }), text)
+
+  const error = t.throws(
+    () => parse('00x2 12345', { fields: fields.slice(0, 2) }),
+    { code: 'INVALID_INTEGER' }
+  )
+  t.like(error, { column: 1, line: 1, value: 'x2', width: 4 })
+})